@@ -1,29 +1,192 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import Header from './frontend/Header';
 import Footer from './frontend/Footer';
 import AddressForm from './frontend/AddressForm';
 import MapView from './frontend/MapView';
+import MeetupsPanel from './frontend/MeetupsPanel';
+import { getParticipantColor, getParticipantLabel, getTravelMode } from './frontend/participants';
+import { DEFAULT_MIDPOINT_STRATEGY, MIDPOINT_STRATEGIES, computeMidpoint } from './shared/geometry';
+import { DEFAULT_SEARCH_RADIUS, formatRadius, toMeters } from './frontend/searchRadius';
+import { DEFAULT_CATEGORIES, getCategory, getPlaceCategory } from './frontend/categories';
+import { DEFAULT_PLACE_FILTERS } from './frontend/placeFilters';
+import { decodeSearch, encodeSearch, roundCoordinate, searchPart, withSelectedPlace } from './frontend/searchUrl';
+import { SHORTLIST_SIZE } from './frontend/meetups';
+import { formatDuration } from './frontend/directions';
+import {
+  PLACE_SORTS,
+  DEFAULT_PLACE_SORT,
+  participantSort,
+  compareTravelTimes,
+  getFairnessLevel,
+  getTravelTimeDestinations,
+  fetchTravelTimes
+} from './frontend/travelTimes';
 
 function App() {
-  const [coords, setCoords] = useState([]);
+  // A search opened from a shared link, or null - see searchUrl.js
+  const [initialSearch] = useState(() => decodeSearch(window.location.search));
+  const [coords, setCoords] = useState(() => (initialSearch ? initialSearch.coords : []));
   const [restaurants, setRestaurants] = useState([]);
   const [selectedRestaurant, setSelectedRestaurant] = useState(null);
+  const [midpointStrategy, setMidpointStrategy] = useState(() => (initialSearch ? initialSearch.midpointStrategy : DEFAULT_MIDPOINT_STRATEGY));
+  const [searchRadius, setSearchRadius] = useState(() => (initialSearch ? initialSearch.searchRadius : DEFAULT_SEARCH_RADIUS));
+  const [categories, setCategories] = useState(() => (initialSearch ? initialSearch.categories : DEFAULT_CATEGORIES));
+  const [placeFilters, setPlaceFilters] = useState(() => (initialSearch ? initialSearch.placeFilters : DEFAULT_PLACE_FILTERS));
+  // When everyone sets off, as a datetime-local value, or '' for now - only routes and travel times use it
+  const [departureTime, setDepartureTime] = useState(() => (initialSearch ? initialSearch.departureTime : ''));
+  // The place a link pointed at, selected once it turns up in that search's results - { query, placeId }
+  const [pendingPlace, setPendingPlace] = useState(() => (initialSearch && initialSearch.selectedPlaceId
+    ? { query: encodeSearch(initialSearch), placeId: initialSearch.selectedPlaceId }
+    : null));
+  // The address form is rebuilt with the participants of a search loaded from the URL
+  const [addressForm, setAddressForm] = useState(() => ({ key: 0, coords: initialSearch ? initialSearch.coords : null }));
+  // A search opened from a link replaces its URL with the tidied-up version instead of adding a history entry
+  const openedFromLinkRef = useRef(Boolean(initialSearch));
+  // Whether the list can load another page of places - see MapView
+  const [pagination, setPagination] = useState({ hasMore: false, isLoadingMore: false, error: null, loadMore: null });
+  // Radius in meters the last search actually used, after any widening
+  const [effectiveRadius, setEffectiveRadius] = useState(() => toMeters(DEFAULT_SEARCH_RADIUS.radius, DEFAULT_SEARCH_RADIUS.unit));
+  // Everyone's travel time to each listed place, by place ID - see travelTimes.js
+  const [travelTimes, setTravelTimes] = useState({});
+  const [isLoadingTravelTimes, setIsLoadingTravelTimes] = useState(false);
+  // How the place list is ordered - a key of PLACE_SORTS or participantSort(index)
+  const [placeSort, setPlaceSort] = useState(DEFAULT_PLACE_SORT);
 
-  // Reset restaurant-related states when coordinates change
+  // Reset restaurant-related states when coordinates, the midpoint strategy or any search setting changes
   useEffect(() => {
     setRestaurants([]);
     setSelectedRestaurant(null);
+  }, [coords, midpointStrategy, searchRadius, categories, placeFilters]);
+
+  // Best match first - the server ranks places by rating, popularity, distance and fairness
+  const rankedRestaurants = useMemo(
+    () => [...restaurants].sort((a, b) => (b.score ?? -1) - (a.score ?? -1)),
+    [restaurants]
+  );
+
+  // A participant's sort doesn't carry over to a different group
+  useEffect(() => {
+    setPlaceSort(prev => (PLACE_SORTS[prev] ? prev : DEFAULT_PLACE_SORT));
   }, [coords]);
 
+  // Travel times are only fetched again when places are added or removed - not when the selected
+  // place gains its details. Earlier places come from the server's cache.
+  const travelTimeDestinations = JSON.stringify(getTravelTimeDestinations(restaurants));
+  useEffect(() => {
+    const destinations = JSON.parse(travelTimeDestinations);
+    if (coords.length < 2 || destinations.length === 0) {
+      setTravelTimes({});
+      return;
+    }
+    
+    const controller = new AbortController();
+    setIsLoadingTravelTimes(true);
+    fetchTravelTimes(coords, destinations, departureTime, controller.signal)
+      .then(setTravelTimes)
+      .catch(error => {
+        // Travel times are extra - the list still shows straight-line distances without them
+        if (error.name !== 'AbortError') {
+          console.error('Error fetching travel times:', error);
+          setTravelTimes({});
+        }
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoadingTravelTimes(false);
+      });
+    
+    return () => controller.abort();
+  }, [coords, travelTimeDestinations, departureTime]);
+
+  // The list in the chosen order - ties keep their match order
+  const sortedRestaurants = useMemo(
+    () => (placeSort === DEFAULT_PLACE_SORT
+      ? rankedRestaurants
+      : [...rankedRestaurants].sort((a, b) => compareTravelTimes(travelTimes[a.place_id], travelTimes[b.place_id], placeSort))),
+    [rankedRestaurants, travelTimes, placeSort]
+  );
+
+  // Keep the search in the URL so it can be shared - each new search gets its own history entry,
+  // so back and forward walk through previous searches
+  useEffect(() => {
+    if (coords.length < 2) return;
+    
+    const query = encodeSearch({ coords, midpointStrategy, searchRadius, categories, placeFilters, departureTime });
+    const method = openedFromLinkRef.current ? 'replaceState' : 'pushState';
+    openedFromLinkRef.current = false;
+    
+    if (query !== searchPart(window.location.search)) {
+      window.history[method](null, '', `?${query}`);
+    }
+  }, [coords, midpointStrategy, searchRadius, categories, placeFilters, departureTime]);
+
+  // Keep the selected place in the URL too, without adding history entries
+  useEffect(() => {
+    if (coords.length < 2 || pendingPlace) return;
+    
+    const query = withSelectedPlace(searchPart(window.location.search), selectedRestaurant && selectedRestaurant.place_id);
+    if (`?${query}` !== window.location.search) {
+      window.history.replaceState(null, '', `?${query}`);
+    }
+  }, [coords.length, selectedRestaurant, pendingPlace]);
+
+  // Switch to a search from the URL or a saved meetup, or clear the search when there isn't one
+  // Participants' coordinates come with it and places come from the server's cache, so nothing is looked up again
+  const applySearch = useCallback((search) => {
+    setCoords(search ? search.coords : []);
+    setMidpointStrategy(search ? search.midpointStrategy : DEFAULT_MIDPOINT_STRATEGY);
+    setSearchRadius(search ? search.searchRadius : DEFAULT_SEARCH_RADIUS);
+    setCategories(search ? search.categories : DEFAULT_CATEGORIES);
+    setPlaceFilters(search ? search.placeFilters : DEFAULT_PLACE_FILTERS);
+    setDepartureTime(search ? search.departureTime : '');
+    setPendingPlace(search && search.selectedPlaceId
+      ? { query: encodeSearch(search), placeId: search.selectedPlaceId }
+      : null);
+    setAddressForm(prev => ({ key: prev.key + 1, coords: search ? search.coords : null }));
+  }, []);
+
+  // Back and forward - restore the search in the URL
+  useEffect(() => {
+    const handlePopState = () => applySearch(decodeSearch(window.location.search));
+    
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [applySearch]);
+
+  // The current search, its meeting point and a shortlist of venues, for saving as a meetup
+  const currentSearch = useMemo(
+    () => (coords.length >= 2 ? { coords, midpointStrategy, searchRadius, categories, placeFilters, departureTime } : null),
+    [coords, midpointStrategy, searchRadius, categories, placeFilters, departureTime]
+  );
+  const meetingPoint = useMemo(
+    () => (coords.length >= 2 ? computeMidpoint(coords, midpointStrategy) : null),
+    [coords, midpointStrategy]
+  );
+  // The selected place first, then the best-ranked others
+  const shortlist = useMemo(() => {
+    const others = rankedRestaurants.filter(restaurant => !selectedRestaurant || restaurant.place_id !== selectedRestaurant.place_id);
+    return (selectedRestaurant ? [selectedRestaurant, ...others] : others).slice(0, SHORTLIST_SIZE);
+  }, [rankedRestaurants, selectedRestaurant]);
+
   // Modified handler to receive coordinates from AddressForm
+  // Coordinates are rounded the way links store them, so a shared link searches exactly the same spot
   const handleCoordsUpdate = (newCoords) => {
-    setCoords(newCoords);
+    setCoords(newCoords.map(coord => ({ ...coord, lat: roundCoordinate(coord.lat), lng: roundCoordinate(coord.lng) })));
+    setPendingPlace(null);
     // No need to reset restaurants here as the useEffect will handle it
   };
 
   // Handler for receiving restaurants from MapView
   const handleRestaurantsUpdate = (newRestaurants) => {
     setRestaurants(newRestaurants);
+    
+    // Select the place a link pointed at once it shows up - it may take a "Load more" or two
+    if (pendingPlace && pendingPlace.query === encodeSearch({ coords, midpointStrategy, searchRadius, categories, placeFilters, departureTime })) {
+      const place = newRestaurants.find(restaurant => restaurant.place_id === pendingPlace.placeId);
+      if (place) {
+        setSelectedRestaurant(place);
+        setPendingPlace(null);
+      }
+    }
   };
 
   // Handler for restaurant selection
@@ -37,87 +200,184 @@ function App() {
       
       <main className="flex-grow container mx-auto px-4 py-6">
         <div className="flex flex-col lg:flex-row gap-6">
-          {/* Left Column - Form and Restaurant Details */}
+          {/* Left Column - Form, Place Details and saved meetups */}
           <div className="lg:w-2/5 lg:sticky lg:top-4 lg:self-start lg:max-h-[calc(100vh-2rem)] lg:overflow-y-auto pr-2">
-            <AddressForm onCoordsUpdate={handleCoordsUpdate} />
+            <AddressForm 
+              key={addressForm.key}
+              initialCoords={addressForm.coords}
+              onCoordsUpdate={handleCoordsUpdate}
+              midpointStrategy={midpointStrategy}
+              onMidpointStrategyChange={setMidpointStrategy}
+              searchRadius={searchRadius}
+              onSearchRadiusChange={setSearchRadius}
+              categories={categories}
+              onCategoriesChange={setCategories}
+              placeFilters={placeFilters}
+              onPlaceFiltersChange={setPlaceFilters}
+              departureTime={departureTime}
+              onDepartureTimeChange={setDepartureTime}
+            />
               
             {coords.length >= 2 && restaurants.length > 0 && (
               <div className="mt-6 bg-green-50 border border-green-200 rounded p-4">
-                <h3 className="text-lg font-semibold mb-4">Restaurant Details</h3>
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                  <h3 className="text-lg font-semibold">Place Details</h3>
+                  <div className="flex items-center gap-2 text-sm">
+                    <label htmlFor="place-sort" className="text-gray-700">Sort by</label>
+                    <select
+                      id="place-sort"
+                      className="border border-gray-300 rounded p-1 bg-white focus:outline-none focus:ring-2 focus:ring-amber-500"
+                      value={placeSort}
+                      onChange={(e) => setPlaceSort(e.target.value)}
+                    >
+                      {Object.entries(PLACE_SORTS).map(([id, sort]) => (
+                        <option key={id} value={id}>{sort.label}</option>
+                      ))}
+                      {coords.map((coord, idx) => (
+                        <option key={`sort-participant-${idx}`} value={participantSort(idx)}>
+                          Quickest for {getParticipantLabel(coord, idx)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                {isLoadingTravelTimes && (
+                  <p className="mb-2 text-xs text-gray-500">Loading travel times...</p>
+                )}
                 
                 <div className="max-h-[60vh] overflow-y-auto pr-2 -mr-2">
                   <div className="space-y-4">
-                    {restaurants.map((restaurant, index) => (
-                      <div 
-                        key={restaurant.place_id || `restaurant-${index}`} 
-                        className={`bg-white p-4 rounded-lg shadow-md cursor-pointer transition-all hover:shadow-lg hover:-translate-y-0.5 ${
-                          selectedRestaurant && selectedRestaurant.place_id === restaurant.place_id 
-                            ? 'border-2 border-blue-500 bg-blue-50' 
-                            : ''
-                        }`}
-                        onClick={() => handleRestaurantSelect(restaurant)}
-                      >
-                        <h5 className="font-semibold text-gray-800 mb-2">
-                          {restaurant.name || `Restaurant ${index + 1}`}
-                        </h5>
-                        
-                        <div className="text-sm text-gray-600">
-                          {/* Address */}
-                          <p className="mb-2">{restaurant.vicinity || 'Address not available'}</p>
+                    {sortedRestaurants.map((restaurant, index) => {
+                      const times = travelTimes[restaurant.place_id];
+                      return (
+                        <div 
+                          key={restaurant.place_id || `restaurant-${index}`} 
+                          className={`bg-white p-4 rounded-lg shadow-md cursor-pointer transition-all hover:shadow-lg hover:-translate-y-0.5 ${
+                            selectedRestaurant && selectedRestaurant.place_id === restaurant.place_id 
+                              ? 'border-2 border-blue-500 bg-blue-50' 
+                              : ''
+                          }`}
+                          onClick={() => handleRestaurantSelect(restaurant)}
+                        >
+                          <h5 className="font-semibold text-gray-800 mb-2">
+                            {restaurant.name || `${getPlaceCategory(restaurant).singular} ${index + 1}`}
+                          </h5>
                           
-                          {/* Rating */}
-                          {restaurant.rating && (
-                            <div className="flex items-center mb-2">
-                              <span className="mr-2">Rating:</span>
-                              {[...Array(5)].map((_, i) => (
-                                <span 
-                                  key={i} 
-                                  className={`text-xl ${
-                                    i < Math.round(restaurant.rating) 
-                                      ? 'text-yellow-400' 
-                                      : 'text-gray-300'
-                                  }`}
-                                >
-                                  ★
+                          <div className="text-sm text-gray-600">
+                            {/* Address */}
+                            <p className="mb-2">{restaurant.vicinity || 'Address not available'}</p>
+                            
+                            {/* Rating */}
+                            {restaurant.rating && (
+                              <div className="flex items-center mb-2">
+                                <span className="mr-2">Rating:</span>
+                                {[...Array(5)].map((_, i) => (
+                                  <span 
+                                    key={i} 
+                                    className={`text-xl ${
+                                      i < Math.round(restaurant.rating) 
+                                        ? 'text-yellow-400' 
+                                        : 'text-gray-300'
+                                    }`}
+                                  >
+                                    ★
+                                  </span>
+                                ))}
+                                <span className="ml-2 text-gray-500">
+                                  ({restaurant.rating.toFixed(1)})
                                 </span>
-                              ))}
-                              <span className="ml-2 text-gray-500">
-                                ({restaurant.rating.toFixed(1)})
-                              </span>
-                            </div>
-                          )}
-
-                          {/* External Links */}
-                          <div className="flex space-x-2 mt-2">
-                            {restaurant.website && (
-                              <a
-                                href={restaurant.website}
-                                target="_blank"
-                                rel="noopener noreferrer"
-                                className="text-blue-600 hover:underline text-sm"
-                              >
-                                Visit Website
-                              </a>
+                              </div>
                             )}
-                            
-                            {restaurant.place_id && (
-                              <a
-                                href={`https://www.google.com/maps/place/?q=place_id:${restaurant.place_id}`}
-                                target="_blank"
-                                rel="noopener noreferrer"
-                                className="text-blue-600 hover:underline text-sm"
-                              >
-                                Google Maps
-                              </a>
+
+                            {/* Match score, how even the trips are, and how far each participant is from the place and how long they'd take */}
+                            {(typeof restaurant.score === 'number' || (times && times.spread !== null)) && (
+                              <p className="mb-2 flex flex-wrap items-center gap-2">
+                                {typeof restaurant.score === 'number' && (
+                                  <span className="font-medium text-gray-700">Match: {Math.round(restaurant.score * 100)}%</span>
+                                )}
+                                {times && times.spread !== null && (
+                                  <span
+                                    className={`px-2 py-0.5 rounded-full text-xs font-medium ${getFairnessLevel(times.spread).className}`}
+                                    title="Difference between the longest and shortest trip"
+                                  >
+                                    {getFairnessLevel(times.spread).label} · {formatDuration(times.spread)} gap
+                                  </span>
+                                )}
+                              </p>
+                            )}
+                            {restaurant.participant_distances && restaurant.participant_distances.length > 0 && (
+                              <ul className="mb-2 flex flex-wrap gap-x-3 gap-y-1">
+                                {restaurant.participant_distances.map((distance, idx) => coords[idx] && (
+                                  <li key={`distance-${idx}`} className="flex items-center">
+                                    <span className={`h-2 w-2 rounded-full ${getParticipantColor(coords[idx].color).swatchClass} mr-1 shrink-0`}></span>
+                                    {getParticipantLabel(coords[idx], idx)}: {formatRadius(distance, searchRadius.unit)}
+                                    {times && ` · ${times.durations[idx] !== null ? formatDuration(times.durations[idx]) : 'no route'}`}
+                                  </li>
+                                ))}
+                              </ul>
                             )}
+
+                            {/* External Links */}
+                            <div className="flex space-x-2 mt-2">
+                              {restaurant.website && (
+                                <a
+                                  href={restaurant.website}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  className="text-blue-600 hover:underline text-sm"
+                                >
+                                  Visit Website
+                                </a>
+                              )}
+                              
+                              {restaurant.place_id && (
+                                <a
+                                  href={`https://www.google.com/maps/place/?q=place_id:${restaurant.place_id}`}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  className="text-blue-600 hover:underline text-sm"
+                                >
+                                  Google Maps
+                                </a>
+                              )}
+                            </div>
                           </div>
                         </div>
-                      </div>
-                    ))}
+                      );
+                    })}
                   </div>
+                  
+                  {/* Next page of results - new places are added to the map without changing the selection */}
+                  {pagination.error && (
+                    <p className="mt-4 text-sm text-red-700 text-center">
+                      {pagination.error.message} {pagination.error.hint}
+                    </p>
+                  )}
+                  {pagination.hasMore && (
+                    <button
+                      type="button"
+                      onClick={pagination.loadMore}
+                      disabled={pagination.isLoadingMore}
+                      className={`mt-4 w-full py-2 px-4 rounded font-medium ${
+                        pagination.isLoadingMore
+                          ? 'bg-green-300 cursor-not-allowed'
+                          : 'bg-green-700 hover:bg-green-800 text-green-50'
+                      }`}
+                    >
+                      {pagination.isLoadingMore ? 'Loading more places...' : 'Load more'}
+                    </button>
+                  )}
                 </div>
+                <p className="mt-2 text-xs text-gray-500 text-center">Showing {restaurants.length} places</p>
               </div>
             )}
+            
+            <MeetupsPanel
+              search={currentSearch}
+              meetingPoint={meetingPoint}
+              venues={shortlist}
+              onOpen={applySearch}
+            />
           </div>
           
           {/* Right Column - Map and Legend */}
@@ -125,7 +385,14 @@ function App() {
             <div className="rounded-lg overflow-hidden shadow-md">
               <MapView 
                 coords={coords} 
+                midpointStrategy={midpointStrategy}
+                searchRadius={searchRadius}
+                onSearchRadiusResolved={setEffectiveRadius}
+                categories={categories}
+                placeFilters={placeFilters}
+                departureTime={departureTime}
                 onRestaurantsUpdate={handleRestaurantsUpdate}
+                onPaginationChange={setPagination}
                 selectedRestaurant={selectedRestaurant}
                 onRestaurantSelect={handleRestaurantSelect}
               />
@@ -135,25 +402,28 @@ function App() {
               <div className="mt-4 p-4 bg-white rounded-lg shadow-md">
                 <h3 className="text-lg font-semibold mb-2">Map Legend</h3>
                 <div className="grid grid-cols-2 gap-2">
-                  <div className="flex items-center">
-                    <div className="h-4 w-4 rounded-full bg-blue-500 mr-2"></div>
-                    <span>Address 1</span>
-                  </div>
-                  <div className="flex items-center">
-                    <div className="h-4 w-4 rounded-full bg-green-500 mr-2"></div>
-                    <span>Address 2</span>
-                  </div>
+                  {/* One entry per participant, in their marker color, with how they're travelling */}
+                  {coords.map((coord, idx) => (
+                    <div key={`legend-participant-${idx}`} className="flex items-center" title={coord.originalAddress}>
+                      <div className={`h-4 w-4 rounded-full ${getParticipantColor(coord.color).swatchClass} mr-2 shrink-0`}></div>
+                      <span className="truncate">{getParticipantLabel(coord, idx)}</span>
+                      <span className="ml-1 shrink-0 text-sm text-gray-500">{getTravelMode(coord.mode).icon} {getTravelMode(coord.mode).label}</span>
+                    </div>
+                  ))}
                   <div className="flex items-center">
                     <div className="h-4 w-4 rounded-full bg-red-500 mr-2"></div>
-                    <span>Midpoint</span>
-                  </div>
-                  <div className="flex items-center">
-                    <div className="h-4 w-4 rounded-full bg-yellow-300 mr-2"></div>
-                    <span>Restaurants</span>
+                    <span>Midpoint ({MIDPOINT_STRATEGIES[midpointStrategy].label})</span>
                   </div>
+                  {/* One entry per category searched, in its marker color */}
+                  {categories.map(categoryId => (
+                    <div key={`legend-category-${categoryId}`} className="flex items-center">
+                      <div className={`h-4 w-4 rounded-full ${getCategory(categoryId).swatchClass} mr-2 shrink-0`}></div>
+                      <span>{getCategory(categoryId).label}</span>
+                    </div>
+                  ))}
                   <div className="flex items-center col-span-2">
                     <div className="h-4 w-4 rounded-full border-2 border-red-500 bg-red-100 bg-opacity-20 mr-2"></div>
-                    <span>1-mile radius</span>
+                    <span>Search radius ({formatRadius(effectiveRadius, searchRadius.unit)})</span>
                   </div>
                 </div>
               </div>
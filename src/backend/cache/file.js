@@ -0,0 +1,153 @@
+// file.js - On-disk cache backend using an append-only JSONL file
+// Entries live in memory for fast reads. Every write is appended to the file so it survives restarts,
+// and snapshot() rewrites the file with only the live entries, in least to most recently used order,
+// so the LRU order survives a restart. The file is also compacted this way whenever the log grows
+// well past the number of live entries.
+import fs from 'fs';
+import path from 'path';
+import { createMemoryBackend } from './memory.js';
+
+// Compact once the log holds more than COMPACT_RATIO records per live entry, and at least COMPACT_MIN_RECORDS
+const COMPACT_RATIO = 2;
+const COMPACT_MIN_RECORDS = 1000;
+
+export function createFileBackend({ types, expiry, filePath }) {
+  const memory = createMemoryBackend({ types });
+
+  // Records in the file, live or not
+  let logRecords = 0;
+  // While a snapshot is being written, new records wait here and are appended once it's in place
+  let pending = null;
+  let snapshotting = null;
+
+  function write(lines) {
+    try {
+      fs.appendFileSync(filePath, lines.join(''));
+      logRecords += lines.length;
+    } catch (error) {
+      console.error(`Error writing cache file ${filePath}:`, error.message);
+    }
+  }
+
+  const liveEntries = () => types.reduce((count, type) => count + memory.stores[type].size, 0);
+
+  // Append one operation to the log - writes are synchronous so ordering is preserved
+  function append(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    if (pending) {
+      pending.push(line);
+      return;
+    }
+
+    write([line]);
+    if (logRecords >= COMPACT_MIN_RECORDS && logRecords > COMPACT_RATIO * liveEntries()) {
+      snapshot().catch(error => console.error(`Error compacting cache file ${filePath}:`, error.message));
+    }
+  }
+
+  // Rewrite the file with just the current entries - a snapshot already underway is waited for instead
+  function snapshot() {
+    if (!snapshotting) {
+      snapshotting = writeSnapshot().finally(() => {
+        snapshotting = null;
+      });
+    }
+    return snapshotting;
+  }
+
+  async function writeSnapshot() {
+    const now = Date.now();
+    const lines = [];
+
+    for (const type of types) {
+      for (const [key, entry] of memory.stores[type]) {
+        if (now - entry.timestamp < expiry[type]) {
+          lines.push(JSON.stringify({ op: 'set', type, key, entry }));
+        }
+      }
+    }
+
+    pending = [];
+    try {
+      // Write to a temp file first so a crash mid-snapshot can't lose the cache
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+      await fs.promises.rename(tempPath, filePath);
+      logRecords = lines.length;
+      console.log(`Saved ${lines.length} cached items to ${filePath}`);
+    } finally {
+      // Whichever file is in place now, the records made meanwhile follow it
+      const waiting = pending;
+      pending = null;
+      if (waiting.length > 0) write(waiting);
+    }
+  }
+
+  // Replay the log into memory, skipping entries that have already expired
+  function load() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (!fs.existsSync(filePath)) return;
+
+    const now = Date.now();
+    let loaded = 0;
+
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      logRecords++;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // A partial line from a crash mid-write - skip it
+        continue;
+      }
+
+      const store = memory.stores[record.type];
+      if (!store) continue;
+
+      if (record.op === 'set' && now - record.entry.timestamp < expiry[record.type]) {
+        // Delete first so a re-written key moves to the most recently used end
+        store.delete(record.key);
+        store.set(record.key, record.entry);
+      } else if (record.op === 'delete' || record.op === 'set') {
+        store.delete(record.key);
+      } else if (record.op === 'clear') {
+        store.clear();
+      }
+    }
+
+    types.forEach(type => { loaded += memory.stores[type].size; });
+    console.log(`Loaded ${loaded} cached items from ${filePath}`);
+  }
+
+  load();
+
+  return {
+    ...memory,
+    name: 'file',
+
+    async set(type, key, entry) {
+      await memory.set(type, key, entry);
+      append({ op: 'set', type, key, entry });
+    },
+
+    async delete(type, key) {
+      await memory.delete(type, key);
+      append({ op: 'delete', type, key });
+    },
+
+    async clear(type) {
+      await memory.clear(type);
+      (type ? [type] : types).forEach(target => append({ op: 'clear', type: target }));
+    },
+
+    async prune(type, limit) {
+      const removed = await memory.prune(type, limit);
+      removed.forEach(key => append({ op: 'delete', type, key }));
+      return removed;
+    },
+
+    snapshot
+  };
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileBackend } from './file.js';
+
+const TYPES = ['places'];
+const EXPIRY = { places: 60 * 60 * 1000 };
+
+let dir;
+let filePath;
+
+const entry = (data) => ({ data, timestamp: Date.now(), lastAccessed: Date.now() });
+const logLines = () => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).length;
+const open = () => createFileBackend({ types: TYPES, expiry: EXPIRY, filePath });
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-cache-'));
+  filePath = path.join(dir, 'cache.jsonl');
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('createFileBackend', () => {
+  it('compacts the log once it grows well past the live entries', async () => {
+    const cache = open();
+    // Rewriting the same few keys leaves one live entry each, however long the log gets
+    for (let i = 0; i < 1000; i++) {
+      await cache.set('places', `key-${i % 5}`, entry(i));
+    }
+
+    await vi.waitFor(() => expect(logLines()).toBe(5));
+    const reopened = open();
+    expect(await reopened.size('places')).toBe(5);
+    expect((await reopened.get('places', 'key-4')).data).toBe(999);
+  });
+
+  it('keeps writes made while a compaction is being written', async () => {
+    const cache = open();
+    await cache.set('places', 'kept', entry('before'));
+    const compaction = cache.snapshot();
+    await cache.set('places', 'kept', entry('during'));
+    await cache.delete('places', 'gone');
+    await cache.set('places', 'added', entry('during'));
+    await compaction;
+
+    const reopened = open();
+    expect((await reopened.get('places', 'kept')).data).toBe('during');
+    expect((await reopened.get('places', 'added')).data).toBe('during');
+    expect(logLines()).toBe(4);
+  });
+
+  it('leaves a log with mostly live entries alone', async () => {
+    const cache = open();
+    for (let i = 0; i < 1200; i++) {
+      await cache.set('places', `key-${i}`, entry(i));
+    }
+
+    expect(logLines()).toBe(1200);
+  });
+});
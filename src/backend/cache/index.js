@@ -0,0 +1,35 @@
+// cache/index.js - Cache backends for upstream API responses
+//
+// Every backend exposes the same async interface:
+//   get(type, key) / set(type, key, entry) / delete(type, key)
+//   touch(type, key)    - mark an entry as recently used
+//   clear(type?)        - clear one cache type, or all of them
+//   size(type)          - number of entries of a type
+//   prune(type, limit)  - evict least recently used entries past a size limit, returning their keys
+//   snapshot()          - persist to disk where the backend supports it
+//   close()
+// Entries are { data, timestamp, lastAccessed, negative }. The expiry option is how long entries are kept;
+// whether an entry is fresh or stale is decided by the cache layer in layer.js.
+import { createMemoryBackend } from './memory.js';
+import { createFileBackend } from './file.js';
+
+export const CACHE_BACKENDS = ['memory', 'file', 'redis'];
+
+// Create the backend selected by name - defaults to memory
+export async function createCacheBackend(name, options) {
+  switch (name) {
+    case 'file':
+      return createFileBackend(options);
+    case 'redis': {
+      // Only load the Redis client when it's actually used
+      const { createRedisBackend } = await import('./redis.js');
+      return createRedisBackend(options);
+    }
+    case 'memory':
+    case undefined:
+    case '':
+      return createMemoryBackend(options);
+    default:
+      throw new Error(`Unknown cache backend "${name}". Expected one of: ${CACHE_BACKENDS.join(', ')}`);
+  }
+}
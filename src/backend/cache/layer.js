@@ -0,0 +1,76 @@
+// layer.js - Cache policy on top of a cache backend
+// Decides whether an entry is fresh, stale (expired but still servable while it's refreshed)
+// or missing, keeps ZERO_RESULTS for a shorter time than real results, and counts
+// hits, misses and evictions per cache type.
+
+// Entry states returned by lookup()
+export const CACHE_STATE = {
+  FRESH: 'fresh',
+  STALE: 'stale',
+  MISS: 'miss'
+};
+
+const emptyMetrics = () => ({ hits: 0, staleHits: 0, negativeHits: 0, misses: 0, evictions: 0 });
+
+export function createCacheLayer({ backend, types, expiry, negativeExpiry, staleGrace, limits }) {
+  let metrics = Object.fromEntries(types.map(type => [type, emptyMetrics()]));
+
+  // How long an entry stays fresh - empty results are re-checked sooner
+  const freshFor = (type, entry) => entry.negative ? Math.min(negativeExpiry, expiry[type]) : expiry[type];
+
+  return {
+    // Look up an entry, returning { state, data }
+    async lookup(type, key) {
+      const entry = await backend.get(type, key);
+      const age = entry ? Date.now() - entry.timestamp : Infinity;
+      const ttl = entry ? freshFor(type, entry) : 0;
+
+      let state;
+      if (age < ttl) {
+        state = CACHE_STATE.FRESH;
+        metrics[type].hits++;
+        if (entry.negative) metrics[type].negativeHits++;
+      } else if (age < ttl + staleGrace) {
+        state = CACHE_STATE.STALE;
+        metrics[type].staleHits++;
+      } else {
+        metrics[type].misses++;
+        return { state: CACHE_STATE.MISS };
+      }
+
+      await backend.touch(type, key);
+      return { state, data: entry.data };
+    },
+
+    // Store a successful response and evict least recently used entries past the limit
+    async store(type, key, data) {
+      const now = Date.now();
+      await backend.set(type, key, {
+        data,
+        timestamp: now,
+        lastAccessed: now,
+        negative: data.status === 'ZERO_RESULTS'
+      });
+
+      const removed = await backend.prune(type, limits[type]);
+      metrics[type].evictions += removed.length;
+    },
+
+    async clear() {
+      await backend.clear();
+      metrics = Object.fromEntries(types.map(type => [type, emptyMetrics()]));
+    },
+
+    // Per-type counters with the hit rate worked out
+    metrics() {
+      return Object.fromEntries(types.map(type => {
+        const { hits, staleHits, misses } = metrics[type];
+        const lookups = hits + staleHits + misses;
+        return [type, {
+          ...metrics[type],
+          hitRate: lookups > 0 ? Math.round(((hits + staleHits) / lookups) * 1000) / 1000 : 0
+        }];
+      }));
+    }
+  };
+}
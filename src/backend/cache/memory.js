@@ -0,0 +1,70 @@
+// memory.js - In-memory cache backend (one Map per cache type)
+// Entries are { data, timestamp, lastAccessed, negative }. Nothing survives a restart.
+// Each Map is kept in recency order - touch() moves an entry to the end - so the
+// least recently used entries are always at the front and eviction is a true LRU.
+
+export function createMemoryBackend({ types }) {
+  const stores = Object.fromEntries(types.map(type => [type, new Map()]));
+
+  return {
+    name: 'memory',
+    stores,
+
+    async get(type, key) {
+      return stores[type].get(key);
+    },
+
+    async set(type, key, entry) {
+      const store = stores[type];
+      // Re-inserting moves the key to the most recently used end
+      store.delete(key);
+      store.set(key, entry);
+    },
+
+    // Mark an entry as just used
+    async touch(type, key) {
+      const store = stores[type];
+      const entry = store.get(key);
+      if (!entry) return;
+
+      entry.lastAccessed = Date.now();
+      store.delete(key);
+      store.set(key, entry);
+    },
+
+    async delete(type, key) {
+      stores[type].delete(key);
+    },
+
+    async clear(type) {
+      const targets = type ? [type] : types;
+      targets.forEach(target => stores[target].clear());
+    },
+
+    async size(type) {
+      return stores[type].size;
+    },
+
+    // Evict least recently used entries until the type is back within its limit
+    // Returns the keys that were removed
+    async prune(type, limit) {
+      const store = stores[type];
+      if (store.size <= limit) return [];
+
+      const removed = [];
+      for (const key of store.keys()) {
+        if (store.size - removed.length <= limit) break;
+        removed.push(key);
+      }
+      removed.forEach(key => store.delete(key));
+
+      console.log(`Cache ${type} exceeded limit, evicted ${removed.length} least recently used items`);
+      return removed;
+    },
+
+    // Nothing to persist
+    async snapshot() {},
+
+    async close() {}
+  };
+}
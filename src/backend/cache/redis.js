@@ -0,0 +1,116 @@
+// redis.js - Cache backend for Redis or any server speaking the Redis protocol (Valkey, KeyDB, ...)
+// Each entry is a JSON string that expires with its cache type, so Redis handles both
+// expiry and eviction (configure maxmemory-policy on the server) and prune() has nothing to do.
+// While Redis is unreachable the cache behaves as empty rather than holding up requests.
+import { createClient } from 'redis';
+
+// Keys are scanned in batches this size for size() and clear()
+const SCAN_COUNT = 500;
+
+export function createRedisBackend({ types, expiry, url, prefix }) {
+  // Fail commands straight away while disconnected instead of queueing them
+  const client = createClient({ url, disableOfflineQueue: true });
+  client.on('error', error => console.error('Redis cache error:', error.message));
+
+  // Connect in the background - the client keeps retrying if Redis isn't up yet
+  client.connect()
+    .then(() => {
+      if (client.isReady) {
+        console.log(`Connected to Redis cache at ${url.replace(/\/\/[^@]*@/, '//')}`);
+      }
+    })
+    .catch(error => console.error('Could not connect to Redis cache:', error.message));
+
+  const keyFor = (type, key) => `${prefix}:${type}:${key}`;
+
+  // Iterate every key belonging to a cache type
+  async function* scanKeys(type) {
+    if (!client.isReady) return;
+    for await (const batch of client.scanIterator({ MATCH: `${prefix}:${type}:*`, COUNT: SCAN_COUNT })) {
+      // node-redis yields arrays of keys per SCAN call
+      yield* (Array.isArray(batch) ? batch : [batch]);
+    }
+  }
+
+  return {
+    name: 'redis',
+
+    async get(type, key) {
+      if (!client.isReady) return undefined;
+      try {
+        const value = await client.get(keyFor(type, key));
+        return value ? JSON.parse(value) : undefined;
+      } catch (error) {
+        // Treat a failed read as a miss so the request still goes through
+        console.error('Redis cache read failed:', error.message);
+        return undefined;
+      }
+    },
+
+    async set(type, key, entry) {
+      if (!client.isReady) return;
+      // Keep the entry until it expires relative to when it was fetched
+      const ttl = Math.max(1, entry.timestamp + expiry[type] - Date.now());
+      try {
+        await client.set(keyFor(type, key), JSON.stringify(entry), { PX: ttl });
+      } catch (error) {
+        console.error('Redis cache write failed:', error.message);
+      }
+    },
+
+    // Redis tracks recency itself (use an allkeys-lru maxmemory-policy)
+    async touch() {},
+
+    async delete(type, key) {
+      if (!client.isReady) return;
+      try {
+        await client.del(keyFor(type, key));
+      } catch (error) {
+        // The entry expires on its own - a failed delete only keeps it around a little longer
+        console.error('Redis cache delete failed:', error.message);
+      }
+    },
+
+    async clear(type) {
+      try {
+        for (const target of type ? [type] : types) {
+          for await (const key of scanKeys(target)) {
+            await client.del(key);
+          }
+        }
+      } catch (error) {
+        console.error('Redis cache clear failed:', error.message);
+      }
+    },
+
+    async size(type) {
+      let count = 0;
+      try {
+        for await (const key of scanKeys(type)) {
+          if (key) count++;
+        }
+      } catch (error) {
+        // Report what was counted before the connection dropped
+        console.error('Redis cache size lookup failed:', error.message);
+      }
+      return count;
+    },
+
+    // Redis expires and evicts entries itself
+    async prune() {
+      return [];
+    },
+
+    // Redis persists according to its own configuration
+    async snapshot() {},
+
+    async close() {
+      if (client.isReady) {
+        await client.quit();
+      } else if (client.isOpen) {
+        // Still trying to reconnect - stop without waiting for a reply
+        client.destroy();
+      }
+    }
+  };
+}
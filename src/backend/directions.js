@@ -0,0 +1,101 @@
+// directions.js - Directions providers for each participant's route to a venue
+// Providers return a summary of the best route - { status, route: { distance, duration, polyline, summary } } -
+// with distance and duration as { value, text } in meters and seconds, and the route as an encoded polyline.
+import { encodePolyline } from '../shared/polyline.js';
+import { destinationPoint, distanceMeters } from '../shared/geometry.js';
+import { createFakeMatrixProvider } from './distanceMatrix.js';
+
+// Routes are looked up one participant at a time, so the number of participants is kept small
+export const DIRECTIONS_LIMITS = {
+  maxOrigins: 10
+};
+
+// Round coordinates so nearly identical requests share a cache entry
+const formatPoint = (point) => `${point.lat.toFixed(6)},${point.lng.toFixed(6)}`;
+
+// Cache key shared by all providers - trips leaving at a set time are kept apart from ones leaving now
+export function buildDirectionsCacheKey(origin, destination, mode, departureTime) {
+  const timing = departureTime ? `@${departureTime}` : '';
+  return `${mode}${timing}:${formatPoint(origin)}:${formatPoint(destination)}`;
+}
+
+// Keep what the app shows from Google's response - the first route's only leg and its outline.
+// Driving legs with a departure time also carry duration_in_traffic, which is used when present
+export function summarizeGoogleDirections(data, mode) {
+  const route = data.routes && data.routes[0];
+  const leg = route && route.legs && route.legs[0];
+  if (data.status !== 'OK' || !leg) {
+    return { status: data.status, error_message: data.error_message };
+  }
+
+  return {
+    status: data.status,
+    route: {
+      distance: leg.distance,
+      duration: mode === 'driving' && leg.duration_in_traffic ? leg.duration_in_traffic : leg.duration,
+      polyline: route.overview_polyline.points,
+      summary: route.summary
+    }
+  };
+}
+
+// Google Directions API provider
+// departureTime (seconds since the epoch) brings in traffic for driving and timetables for transit
+export function createGoogleDirectionsProvider(httpClient, apiKey) {
+  return {
+    name: 'google',
+
+    async getRoute(origin, destination, mode, departureTime) {
+      const timing = departureTime ? `&departure_time=${departureTime}` : '';
+      const apiUrl = `https://maps.googleapis.com/maps/api/directions/json?origin=${encodeURIComponent(formatPoint(origin))}&destination=${encodeURIComponent(formatPoint(destination))}&mode=${mode}${timing}&key=${apiKey}`;
+
+      console.log(`Making directions request to Google Maps: ${apiUrl.replace(/key=[^&]+/, 'key=REDACTED')}`);
+
+      const response = await httpClient.get(apiUrl);
+      return summarizeGoogleDirections(response.data, mode);
+    }
+  };
+}
+
+// Points along the fake route - a gentle curve, so routes from nearby participants don't overlap
+const FAKE_ROUTE_POINTS = 16;
+const FAKE_ROUTE_BEND = 0.1;
+
+// Local provider that draws a curved line and times it like the fake distance matrix,
+// so travel times agree with it. Needs no network or API key. Departure times are ignored.
+export function createFakeDirectionsProvider() {
+  const matrix = createFakeMatrixProvider();
+
+  return {
+    name: 'fake',
+
+    async getRoute(origin, destination, mode) {
+      const { rows } = await matrix.getMatrix([origin], [destination], mode);
+      const { distance, duration } = rows[0].elements[0];
+
+      // Bow the straight line out sideways, most in the middle
+      const length = distanceMeters(origin, destination);
+      const points = Array.from({ length: FAKE_ROUTE_POINTS + 1 }, (_, i) => {
+        const fraction = i / FAKE_ROUTE_POINTS;
+        const onLine = {
+          lat: origin.lat + (destination.lat - origin.lat) * fraction,
+          lng: origin.lng + (destination.lng - origin.lng) * fraction
+        };
+        return destinationPoint(onLine, 45, Math.sin(fraction * Math.PI) * length * FAKE_ROUTE_BEND);
+      });
+
+      return {
+        status: 'OK',
+        route: { distance, duration, polyline: encodePolyline(points), summary: 'Fake route' }
+      };
+    }
+  };
+}
+
+// Pick a provider by name - defaults to Google
+export function createDirectionsProvider(name, httpClient, apiKey) {
+  if (name === 'fake') {
+    return createFakeDirectionsProvider();
+  }
+  return createGoogleDirectionsProvider(httpClient, apiKey);
+}
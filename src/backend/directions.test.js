@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { summarizeGoogleDirections } from './directions.js';
+
+const leg = {
+  distance: { value: 12000, text: '12 km' },
+  duration: { value: 900, text: '15 mins' },
+  duration_in_traffic: { value: 1500, text: '25 mins' }
+};
+const response = { status: 'OK', routes: [{ legs: [leg], overview_polyline: { points: 'abc' }, summary: 'I-5' }] };
+
+describe('summarizeGoogleDirections', () => {
+  it('uses the time in traffic for driving', () => {
+    expect(summarizeGoogleDirections(response, 'driving').route).toEqual({
+      distance: leg.distance,
+      duration: leg.duration_in_traffic,
+      polyline: 'abc',
+      summary: 'I-5'
+    });
+  });
+
+  it('uses the plain duration for other modes, or without traffic', () => {
+    expect(summarizeGoogleDirections(response, 'transit').route.duration).toEqual(leg.duration);
+    const withoutTraffic = { ...response, routes: [{ ...response.routes[0], legs: [{ ...leg, duration_in_traffic: undefined }] }] };
+    expect(summarizeGoogleDirections(withoutTraffic, 'driving').route.duration).toEqual(leg.duration);
+  });
+
+  it('passes on a failed lookup', () => {
+    expect(summarizeGoogleDirections({ status: 'ZERO_RESULTS', routes: [] }, 'driving')).toEqual({ status: 'ZERO_RESULTS', error_message: undefined });
+  });
+});
@@ -0,0 +1,108 @@
+// errors.js - The API's error contract
+// Failed requests respond with { error: message, code, retryAfter? } and a matching HTTP status,
+// plus a Retry-After header when waiting will help. Errors carry their code in error.code.
+
+export const ERROR_CODES = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  NOT_FOUND: 'NOT_FOUND',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  UPSTREAM_DENIED: 'UPSTREAM_DENIED',
+  UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+  STORAGE_FULL: 'STORAGE_FULL',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+const HTTP_STATUS = {
+  INVALID_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  NOT_FOUND: 404,
+  QUOTA_EXCEEDED: 429,
+  RATE_LIMITED: 429,
+  UPSTREAM_DENIED: 502,
+  UPSTREAM_UNAVAILABLE: 503,
+  STORAGE_FULL: 503,
+  INTERNAL_ERROR: 500
+};
+
+// Seconds to suggest waiting after the upstream API rate limits us or fails
+const UPSTREAM_RATE_LIMIT_RETRY_AFTER = 10;
+const UPSTREAM_ERROR_RETRY_AFTER = 5;
+
+export function createApiError(code, message, retryAfter) {
+  const error = new Error(message);
+  error.code = code;
+  if (retryAfter) error.retryAfter = retryAfter;
+  return error;
+}
+
+// Work out the code for any error - our own typed errors, upstream statuses (see resilience.js)
+// and HTTP or network errors from the HTTP client
+export function toApiError(error) {
+  if (HTTP_STATUS[error.code]) {
+    return { code: error.code, message: error.message, retryAfter: error.retryAfter };
+  }
+
+  switch (error.upstreamStatus) {
+    case 'REQUEST_DENIED':
+      return { code: ERROR_CODES.UPSTREAM_DENIED, message: 'The map service rejected the request' };
+    case 'OVER_QUERY_LIMIT':
+      return {
+        code: ERROR_CODES.RATE_LIMITED,
+        message: 'The map service is rate limiting requests',
+        retryAfter: UPSTREAM_RATE_LIMIT_RETRY_AFTER
+      };
+    case 'NOT_FOUND':
+      return { code: ERROR_CODES.NOT_FOUND, message: 'No place found for that ID' };
+    case 'INVALID_REQUEST':
+      return { code: ERROR_CODES.INVALID_REQUEST, message: error.message };
+    case 'UNKNOWN_ERROR':
+      return {
+        code: ERROR_CODES.UPSTREAM_UNAVAILABLE,
+        message: 'The map service failed to respond',
+        retryAfter: UPSTREAM_ERROR_RETRY_AFTER
+      };
+  }
+
+  // HTTP client errors - the upstream answered with an error status, or didn't answer at all
+  if (error.response) {
+    const httpStatus = error.response.status;
+    if (httpStatus === 401 || httpStatus === 403) {
+      return { code: ERROR_CODES.UPSTREAM_DENIED, message: 'The map service rejected the request' };
+    }
+    if (httpStatus === 404) {
+      return { code: ERROR_CODES.NOT_FOUND, message: 'Not found' };
+    }
+    if (httpStatus === 429) {
+      return {
+        code: ERROR_CODES.RATE_LIMITED,
+        message: 'The map service is rate limiting requests',
+        retryAfter: UPSTREAM_RATE_LIMIT_RETRY_AFTER
+      };
+    }
+    return {
+      code: ERROR_CODES.UPSTREAM_UNAVAILABLE,
+      message: 'The map service failed to respond',
+      retryAfter: UPSTREAM_ERROR_RETRY_AFTER
+    };
+  }
+  if (error.request) {
+    return {
+      code: ERROR_CODES.UPSTREAM_UNAVAILABLE,
+      message: 'The map service could not be reached',
+      retryAfter: UPSTREAM_ERROR_RETRY_AFTER
+    };
+  }
+
+  return { code: ERROR_CODES.INTERNAL_ERROR, message: error.message || 'Internal server error' };
+}
+
+// Send an error response with the right status and Retry-After header
+export function sendError(res, error) {
+  const { code, message, retryAfter } = toApiError(error);
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+  }
+  res.status(HTTP_STATUS[code]).json({ error: message, code, ...(retryAfter ? { retryAfter } : {}) });
+}
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { createApiError, toApiError, ERROR_CODES } from './errors.js';
+import { createOsmProvider } from './providers/osm.js';
+
+describe('toApiError', () => {
+  it('keeps the code of our own errors', () => {
+    const error = createApiError(ERROR_CODES.RATE_LIMITED, 'Slow down', 30);
+    expect(error.code).toBe('RATE_LIMITED');
+    expect(error.status).toBeUndefined();
+    expect(toApiError(error)).toEqual({ code: 'RATE_LIMITED', message: 'Slow down', retryAfter: 30 });
+  });
+
+  it('doesn\'t mistake other errors\' codes or statuses for ours', () => {
+    const network = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    const withStatus = Object.assign(new Error('Odd'), { status: 'NOT_FOUND' });
+    expect(toApiError(network).code).toBe('INTERNAL_ERROR');
+    expect(toApiError(withStatus).code).toBe('INTERNAL_ERROR');
+  });
+
+  it('reports a photo the OpenStreetMap provider can\'t have as not found', async () => {
+    const provider = createOsmProvider({ httpClient: { get: async () => ({ data: [] }) } });
+    const error = await provider.photo().catch(rejection => rejection);
+    expect(toApiError(error).code).toBe('NOT_FOUND');
+  });
+});
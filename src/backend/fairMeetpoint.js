@@ -0,0 +1,108 @@
+// fairMeetpoint.js - Find the meeting point where everyone's travel times are closest
+import { computeMidpoint, destinationPoint, DEFAULT_MIDPOINT_STRATEGY } from '../shared/geometry.js';
+import { matrixChunkSize, elementDuration } from './distanceMatrix.js';
+
+// Candidate sampling - the midpoint plus rings of evenly spaced points around it
+const CANDIDATE_BEARINGS = 8;
+const CANDIDATE_RINGS = 2;
+
+// Sample candidate meeting points around a center, out to the given radius (meters)
+export function sampleCandidates(center, radius) {
+  const candidates = [center];
+
+  for (let ring = 1; ring <= CANDIDATE_RINGS; ring++) {
+    const distance = radius * ring / CANDIDATE_RINGS;
+    // Offset alternate rings so candidates don't line up along the same bearings
+    const offset = ring % 2 === 0 ? 180 / CANDIDATE_BEARINGS : 0;
+
+    for (let i = 0; i < CANDIDATE_BEARINGS; i++) {
+      candidates.push(destinationPoint(center, offset + (360 / CANDIDATE_BEARINGS) * i, distance));
+    }
+  }
+
+  return candidates;
+}
+
+// Score one candidate from each participant's travel to it.
+// Returns null if anyone can't reach the candidate.
+function scoreCandidate(elements) {
+  if (elements.some(element => !element || element.status !== 'OK' || !element.duration)) {
+    return null;
+  }
+
+  const durations = elements.map(element => elementDuration(element).value);
+  const maxDuration = Math.max(...durations);
+  const minDuration = Math.min(...durations);
+
+  return {
+    spread: maxDuration - minDuration,
+    maxDuration,
+    minDuration,
+    travel: elements.map(element => ({
+      duration: elementDuration(element).value,
+      distance: element.distance ? element.distance.value : null
+    }))
+  };
+}
+
+// Lower spread wins; on a tie prefer the candidate where the longest trip is shorter
+function isFairer(a, b) {
+  if (!b) return true;
+  if (a.spread !== b.spread) return a.spread < b.spread;
+  return a.maxDuration < b.maxDuration;
+}
+
+// Find the fairest meeting point for a group of participants.
+// fetchMatrix(origins, destinations) must resolve to a Distance Matrix style response.
+export async function findFairMeetpoint({ participants, radius, strategy = DEFAULT_MIDPOINT_STRATEGY, fetchMatrix }) {
+  const midpoint = computeMidpoint(participants, strategy);
+  const candidates = sampleCandidates(midpoint, radius);
+
+  // Keep each request within the provider's element limits - the chunks are requested together
+  // and the upstream scheduler paces them
+  const chunkSize = matrixChunkSize(participants.length);
+  const chunks = [];
+  for (let i = 0; i < candidates.length; i += chunkSize) {
+    chunks.push(candidates.slice(i, i + chunkSize));
+  }
+  const responses = await Promise.all(chunks.map(chunk => fetchMatrix(participants, chunk)));
+
+  let best = null;
+  let evaluated = 0;
+
+  chunks.forEach((chunk, c) => {
+    const data = responses[c];
+    if (data.status !== 'OK' || !Array.isArray(data.rows)) return;
+
+    chunk.forEach((candidate, j) => {
+      const score = scoreCandidate(data.rows.map(row => row.elements && row.elements[j]));
+      if (!score) return;
+
+      evaluated++;
+      if (isFairer(score, best)) {
+        best = { point: candidate, ...score };
+      }
+    });
+  });
+
+  if (!best) {
+    return {
+      status: 'ZERO_RESULTS',
+      midpoint,
+      candidatesSampled: candidates.length,
+      candidatesEvaluated: 0
+    };
+  }
+
+  return {
+    status: 'OK',
+    point: best.point,
+    midpoint,
+    spread: best.spread,
+    maxDuration: best.maxDuration,
+    minDuration: best.minDuration,
+    travel: best.travel,
+    candidatesSampled: candidates.length,
+    candidatesEvaluated: evaluated
+  };
+}
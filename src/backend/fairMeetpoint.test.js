@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import { findFairMeetpoint, sampleCandidates } from './fairMeetpoint.js';
+import { createFakeMatrixProvider, matrixChunkSize, MATRIX_LIMITS } from './distanceMatrix.js';
+import { computeMidpoint } from '../shared/geometry.js';
+
+const PARTICIPANTS = [{ lat: 38.58, lng: -121.49 }, { lat: 38.7, lng: -121.3 }];
+const RADIUS = 2000;
+const CANDIDATES = sampleCandidates(computeMidpoint(PARTICIPANTS), RADIUS);
+
+// Candidates are sampled afresh for each search, so they're matched by position
+const candidateIndex = (point) => CANDIDATES.findIndex(candidate => candidate.lat === point.lat && candidate.lng === point.lng);
+
+const element = (seconds) => ({ status: 'OK', duration: { value: seconds }, distance: { value: seconds * 10 } });
+
+// A fetchMatrix that answers from durations(candidateIndex) - one duration per participant,
+// or an element to use as it is
+function matrixFrom(durations) {
+  return async (origins, destinations) => ({
+    status: 'OK',
+    rows: origins.map((_, i) => ({
+      elements: destinations.map(destination => {
+        const value = durations(candidateIndex(destination))[i];
+        return typeof value === 'number' ? element(value) : value;
+      })
+    }))
+  });
+}
+
+describe('findFairMeetpoint', () => {
+  it('picks the candidate with the smallest spread', async () => {
+    const fetchMatrix = matrixFrom(index => (index === 5 ? [700, 720] : [600, 900]));
+    const result = await findFairMeetpoint({ participants: PARTICIPANTS, radius: RADIUS, fetchMatrix });
+
+    expect(result.status).toBe('OK');
+    expect(result.point).toEqual(CANDIDATES[5]);
+    expect(result.spread).toBe(20);
+    expect(result.maxDuration).toBe(720);
+    expect(result.minDuration).toBe(700);
+    expect(result.travel).toEqual([{ duration: 700, distance: 7000 }, { duration: 720, distance: 7200 }]);
+    expect(result.candidatesEvaluated).toBe(CANDIDATES.length);
+  });
+
+  it('breaks a tie in spread with the shorter longest trip', async () => {
+    const fetchMatrix = matrixFrom(index => {
+      if (index === 3) return [900, 900];
+      if (index === 11) return [500, 500];
+      return [300, 1200];
+    });
+    const result = await findFairMeetpoint({ participants: PARTICIPANTS, radius: RADIUS, fetchMatrix });
+
+    expect(result.point).toEqual(CANDIDATES[11]);
+    expect(result.maxDuration).toBe(500);
+  });
+
+  it('goes by the time in traffic when the matrix has one', async () => {
+    // Candidate 6 looks even without traffic, but candidate 9 is the one that is in it
+    const traffic = (seconds, inTraffic) => ({ ...element(seconds), duration_in_traffic: { value: inTraffic } });
+    const fetchMatrix = matrixFrom(index => {
+      if (index === 6) return [traffic(600, 600), traffic(600, 1100)];
+      if (index === 9) return [traffic(500, 700), traffic(900, 710)];
+      return [600, 900];
+    });
+    const result = await findFairMeetpoint({ participants: PARTICIPANTS, radius: RADIUS, fetchMatrix });
+
+    expect(result.point).toEqual(CANDIDATES[9]);
+    expect(result.travel.map(trip => trip.duration)).toEqual([700, 710]);
+  });
+
+  it('skips candidates someone can\'t reach', async () => {
+    const fetchMatrix = matrixFrom(index => {
+      if (index === 2) return [600, { status: 'ZERO_RESULTS' }];
+      if (index === 4) return [650, 660];
+      return [600, 900];
+    });
+    const result = await findFairMeetpoint({ participants: PARTICIPANTS, radius: RADIUS, fetchMatrix });
+
+    expect(result.point).toEqual(CANDIDATES[4]);
+    expect(result.candidatesEvaluated).toBe(CANDIDATES.length - 1);
+  });
+
+  it('skips chunks that come back without an OK status', async () => {
+    // Ten participants split the candidates into chunks of ten - the first chunk fails
+    const participants = Array.from({ length: 10 }, (_, i) => ({ lat: 38.5 + i * 0.02, lng: -121.4 }));
+    const candidates = sampleCandidates(computeMidpoint(participants), RADIUS);
+    const failed = candidates.slice(0, matrixChunkSize(participants.length));
+    const matrix = createFakeMatrixProvider();
+    const fetchMatrix = (origins, destinations) => (destinations[0].lat === failed[0].lat && destinations[0].lng === failed[0].lng
+      ? { status: 'OVER_QUERY_LIMIT', rows: [] }
+      : matrix.getMatrix(origins, destinations, 'driving'));
+    const result = await findFairMeetpoint({ participants, radius: RADIUS, fetchMatrix });
+
+    expect(result.status).toBe('OK');
+    expect(result.candidatesEvaluated).toBe(candidates.length - failed.length);
+    expect(failed).not.toContainEqual(result.point);
+  });
+
+  it('reports ZERO_RESULTS when no candidate can be reached by everyone', async () => {
+    const fetchMatrix = matrixFrom(() => [{ status: 'NOT_FOUND' }, 600]);
+    const result = await findFairMeetpoint({ participants: PARTICIPANTS, radius: RADIUS, fetchMatrix });
+
+    expect(result.status).toBe('ZERO_RESULTS');
+    expect(result.candidatesSampled).toBe(CANDIDATES.length);
+    expect(result.candidatesEvaluated).toBe(0);
+  });
+
+  it('keeps every request within the matrix element limits', async () => {
+    const participants = Array.from({ length: 10 }, (_, i) => ({ lat: 38.5 + i * 0.02, lng: -121.4 }));
+    const matrix = createFakeMatrixProvider();
+    const calls = [];
+    const result = await findFairMeetpoint({
+      participants,
+      radius: RADIUS,
+      fetchMatrix: (origins, destinations) => {
+        calls.push(origins.length * destinations.length);
+        return matrix.getMatrix(origins, destinations, 'driving');
+      }
+    });
+
+    expect(result.status).toBe('OK');
+    expect(calls.length).toBeGreaterThan(1);
+    expect(Math.max(...calls)).toBeLessThanOrEqual(MATRIX_LIMITS.maxElements);
+  });
+
+  it('evens out travel times with the fake provider', async () => {
+    const matrix = createFakeMatrixProvider();
+    const result = await findFairMeetpoint({
+      participants: PARTICIPANTS,
+      radius: RADIUS,
+      fetchMatrix: (origins, destinations) => matrix.getMatrix(origins, destinations, 'driving')
+    });
+    const atMidpoint = await matrix.getMatrix(PARTICIPANTS, [result.midpoint], 'driving');
+    const midpointDurations = atMidpoint.rows.map(row => row.elements[0].duration.value);
+
+    expect(result.spread).toBeLessThanOrEqual(Math.max(...midpointDurations) - Math.min(...midpointDurations));
+  });
+});
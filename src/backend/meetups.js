@@ -0,0 +1,309 @@
+// meetups.js - Saved meetups, stored in a JSON file so they need no external services
+// A meetup keeps its participants, search settings, meeting point and a shortlist of venues under a
+// short ID. Anyone with the ID can read it; changing or deleting it takes the edit key handed out
+// when it was created. Only a hash of the key is stored.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+import { createApiError, ERROR_CODES } from './errors.js';
+import { TRAVEL_MODES } from './distanceMatrix.js';
+import { isMidpointStrategy } from '../shared/geometry.js';
+
+export const MEETUP_LIMITS = {
+  maxParticipants: 10,
+  maxVenues: 10,
+  maxNameLength: 100,
+  maxAddressLength: 200,
+  maxCategories: 10,
+  maxMeetups: 10000
+};
+
+// Place IDs and category names are short - the same cap as the place details endpoint, and a generous one
+const MAX_PLACE_ID_LENGTH = 300;
+const MAX_CATEGORY_LENGTH = 50;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function invalid(message) {
+  return createApiError(ERROR_CODES.INVALID_REQUEST, message);
+}
+
+function isLocation(value) {
+  return value && Number.isFinite(value.lat) && Number.isFinite(value.lng) &&
+    Math.abs(value.lat) <= 90 && Math.abs(value.lng) <= 180;
+}
+
+const isShortString = (value, maxLength) => typeof value === 'string' && value.length <= maxLength;
+const isNumberBetween = (value, min, max) => Number.isFinite(value) && value >= min && value <= max;
+const isCategoryList = (value) => Array.isArray(value) && value.length <= MEETUP_LIMITS.maxCategories &&
+  value.every(category => isShortString(category, MAX_CATEGORY_LENGTH));
+
+// Fields a venue keeps - enough to show it and find it again - and a check for each
+const VENUE_FIELDS = {
+  place_id: (value) => isShortString(value, MAX_PLACE_ID_LENGTH) && value.length > 0,
+  name: (value) => isShortString(value, MEETUP_LIMITS.maxAddressLength),
+  vicinity: (value) => isShortString(value, MEETUP_LIMITS.maxAddressLength),
+  rating: (value) => isNumberBetween(value, 0, 5),
+  user_ratings_total: (value) => Number.isInteger(value) && value >= 0,
+  price_level: (value) => Number.isInteger(value) && isNumberBetween(value, 0, 4),
+  categories: isCategoryList
+};
+
+function validateName(name) {
+  if (typeof name !== 'string' || !name.trim() || name.length > MEETUP_LIMITS.maxNameLength) {
+    throw invalid(`name must be 1 to ${MEETUP_LIMITS.maxNameLength} characters`);
+  }
+  return name.trim();
+}
+
+function validateParticipants(participants) {
+  if (!Array.isArray(participants) || participants.length < 2 || participants.length > MEETUP_LIMITS.maxParticipants) {
+    throw invalid(`participants must list 2 to ${MEETUP_LIMITS.maxParticipants} people`);
+  }
+
+  return participants.map(participant => {
+    if (!participant || !isLocation(participant) ||
+        (participant.address !== undefined && (typeof participant.address !== 'string' || participant.address.length > MEETUP_LIMITS.maxAddressLength)) ||
+        (participant.name !== undefined && (typeof participant.name !== 'string' || participant.name.length > MEETUP_LIMITS.maxNameLength)) ||
+        (participant.mode !== undefined && !TRAVEL_MODES.includes(participant.mode))) {
+      throw invalid(`Every participant needs numeric lat and lng, a short name and address if given, and a mode of ${TRAVEL_MODES.join(', ')} if given`);
+    }
+    return {
+      name: participant.name || '',
+      address: participant.address || '',
+      color: typeof participant.color === 'string' ? participant.color.slice(0, 20) : undefined,
+      mode: participant.mode,
+      lat: participant.lat,
+      lng: participant.lng
+    };
+  });
+}
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// An object holding only the given keys, each passing its check
+const hasOnly = (fields) => (value) => isObject(value) &&
+  Object.entries(value).every(([field, fieldValue]) => Object.hasOwn(fields, field) && fields[field](fieldValue));
+
+// Filters left empty are '' - see DEFAULT_PLACE_FILTERS in src/frontend/placeFilters.js
+const isEmptyOr = (isValid) => (value) => value === '' || isValid(value);
+
+// The frontend's search settings and a check for each - anything else is dropped.
+// The frontend checks them again in full when it opens a meetup
+const SETTINGS_FIELDS = {
+  midpointStrategy: isMidpointStrategy,
+  searchRadius: hasOnly({
+    radius: (value) => isNumberBetween(value, 0, 1000),
+    maxRadius: (value) => isNumberBetween(value, 0, 1000),
+    unit: (value) => value === 'mi' || value === 'km'
+  }),
+  categories: isCategoryList,
+  placeFilters: hasOnly({
+    minPrice: isEmptyOr(value => Number.isInteger(value) && isNumberBetween(value, 0, 4)),
+    maxPrice: isEmptyOr(value => Number.isInteger(value) && isNumberBetween(value, 0, 4)),
+    minRating: isEmptyOr(value => isNumberBetween(value, 0, 5)),
+    minReviews: isEmptyOr(value => Number.isInteger(value) && value >= 0),
+    openNow: (value) => typeof value === 'boolean'
+  }),
+  // "2026-05-01T18:30" in the browser's local time, or '' for now
+  departureTime: (value) => isShortString(value, 30)
+};
+
+function validateSettings(settings) {
+  if (settings === undefined) return {};
+  if (!isObject(settings)) {
+    throw invalid('settings must be an object');
+  }
+
+  const kept = Object.entries(SETTINGS_FIELDS).filter(([field]) => settings[field] !== undefined);
+  const bad = kept.find(([field, isValid]) => !isValid(settings[field]));
+  if (bad) {
+    throw invalid(`settings.${bad[0]} is invalid`);
+  }
+  return Object.fromEntries(kept.map(([field]) => [field, settings[field]]));
+}
+
+function validateMeetingPoint(meetingPoint) {
+  if (meetingPoint === undefined || meetingPoint === null) return null;
+  if (!isLocation(meetingPoint)) {
+    throw invalid('meetingPoint needs numeric lat and lng');
+  }
+  return { lat: meetingPoint.lat, lng: meetingPoint.lng };
+}
+
+function validateVenues(venues) {
+  if (venues === undefined) return [];
+  if (!Array.isArray(venues) || venues.length > MEETUP_LIMITS.maxVenues) {
+    throw invalid(`venues must be a list of up to ${MEETUP_LIMITS.maxVenues} places`);
+  }
+
+  return venues.map(venue => {
+    if (!isObject(venue) || venue.place_id === undefined) {
+      throw invalid('Every venue needs a place_id');
+    }
+    const kept = Object.entries(VENUE_FIELDS).filter(([field]) => venue[field] !== undefined);
+    const bad = kept.find(([field, isValid]) => !isValid(venue[field]));
+    if (bad) {
+      throw invalid(`venue ${bad[0]} is invalid`);
+    }
+    const fields = Object.fromEntries(kept.map(([field]) => [field, venue[field]]));
+    const location = venue.geometry && venue.geometry.location;
+    return isLocation(location) ? { ...fields, geometry: { location: { lat: location.lat, lng: location.lng } } } : fields;
+  });
+}
+
+// Validators for each field that can be set, used for both creating and updating
+const FIELD_VALIDATORS = {
+  name: validateName,
+  participants: validateParticipants,
+  settings: validateSettings,
+  meetingPoint: validateMeetingPoint,
+  venues: validateVenues
+};
+
+// The public view of a meetup - everything but the key hash
+function toPublic(meetup) {
+  return Object.fromEntries(Object.entries(meetup).filter(([field]) => field !== 'editKeyHash'));
+}
+
+export function createMeetupStore({ filePath }) {
+  const meetups = new Map();
+
+  function load() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (!fs.existsSync(filePath)) return;
+
+    try {
+      for (const meetup of JSON.parse(fs.readFileSync(filePath, 'utf8'))) {
+        meetups.set(meetup.id, meetup);
+      }
+      console.log(`Loaded ${meetups.size} saved meetups from ${filePath}`);
+    } catch (error) {
+      console.error(`Error reading meetups file ${filePath}:`, error.message);
+    }
+  }
+
+  // Write to a temporary file and rename it over the old one, so a crash mid-write can't corrupt it
+  async function write() {
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify([...meetups.values()]));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  // Saves run in the background, one at a time - changes made while one is running are written
+  // together once it finishes, so a burst of changes doesn't rewrite the file for each
+  let writing = null;
+  let saveAgain = false;
+
+  function save() {
+    if (writing) {
+      saveAgain = true;
+      return;
+    }
+    writing = write()
+      .catch(error => console.error(`Error writing meetups file ${filePath}:`, error.message))
+      .finally(() => {
+        writing = null;
+        if (saveAgain) {
+          saveAgain = false;
+          save();
+        }
+      });
+  }
+
+  // 8 URL-safe characters, retried on the off chance it's taken
+  function newId() {
+    let id;
+    do {
+      id = crypto.randomBytes(6).toString('base64url');
+    } while (meetups.has(id));
+    return id;
+  }
+
+  function find(id) {
+    const meetup = meetups.get(id);
+    if (!meetup) {
+      throw createApiError(ERROR_CODES.NOT_FOUND, 'No meetup with that ID');
+    }
+    return meetup;
+  }
+
+  load();
+
+  return {
+    // Save a new meetup - returns { meetup, editKey }, the only time the edit key is handed out
+    create(fields) {
+      if (meetups.size >= MEETUP_LIMITS.maxMeetups) {
+        throw createApiError(ERROR_CODES.STORAGE_FULL, 'No more meetups can be saved right now');
+      }
+
+      const editKey = crypto.randomBytes(18).toString('base64url');
+      const now = new Date().toISOString();
+      const meetup = {
+        id: newId(),
+        name: validateName(fields.name),
+        participants: validateParticipants(fields.participants),
+        settings: validateSettings(fields.settings),
+        meetingPoint: validateMeetingPoint(fields.meetingPoint),
+        venues: validateVenues(fields.venues),
+        createdAt: now,
+        updatedAt: now,
+        editKeyHash: hashKey(editKey)
+      };
+
+      meetups.set(meetup.id, meetup);
+      save();
+      return { meetup: toPublic(meetup), editKey };
+    },
+
+    get(id) {
+      return toPublic(find(id));
+    },
+
+    // Change some fields - fields that aren't given are left alone
+    update(id, fields) {
+      const meetup = find(id);
+      const changes = {};
+      for (const [field, validate] of Object.entries(FIELD_VALIDATORS)) {
+        if (fields[field] !== undefined) {
+          changes[field] = validate(fields[field]);
+        }
+      }
+      if (Object.keys(changes).length === 0) {
+        throw invalid(`Nothing to update - send any of ${Object.keys(FIELD_VALIDATORS).join(', ')}`);
+      }
+
+      const updated = { ...meetup, ...changes, updatedAt: new Date().toISOString() };
+      meetups.set(id, updated);
+      save();
+      return toPublic(updated);
+    },
+
+    remove(id) {
+      find(id);
+      meetups.delete(id);
+      save();
+    },
+
+    // Whether a key may change a meetup - throws NOT_FOUND for unknown IDs
+    canEdit(id, key) {
+      const meetup = find(id);
+      if (typeof key !== 'string' || !key) return false;
+      return crypto.timingSafeEqual(Buffer.from(hashKey(key)), Buffer.from(meetup.editKeyHash));
+    },
+
+    size() {
+      return meetups.size;
+    },
+
+    // Resolves once every change so far is on disk
+    async flush() {
+      while (writing) {
+        await writing;
+      }
+    }
+  };
+}
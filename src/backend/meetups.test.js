@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMeetupStore, MEETUP_LIMITS } from './meetups.js';
+import { toApiError } from './errors.js';
+
+const PARTICIPANTS = [{ lat: 38.58, lng: -121.49 }, { lat: 38.7, lng: -121.3, mode: 'transit' }];
+
+let dir;
+let store;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'meetups-'));
+  store = createMeetupStore({ filePath: path.join(dir, 'meetups.json') });
+});
+
+afterEach(async () => {
+  await store.flush();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('meetup settings', () => {
+  it('keeps only the search settings', () => {
+    const settings = {
+      midpointStrategy: 'minimax',
+      searchRadius: { radius: 2, maxRadius: 5, unit: 'km' },
+      categories: ['restaurant', 'cafe'],
+      placeFilters: { minRating: 4, openNow: true },
+      departureTime: '2026-10-20T18:30',
+      notes: 'x'.repeat(1000)
+    };
+    const { meetup } = store.create({ name: 'Dinner', participants: PARTICIPANTS, settings });
+
+    const { notes, ...kept } = settings;
+    expect(notes).toBeDefined();
+    expect(meetup.settings).toEqual(kept);
+  });
+
+  it('rejects settings of the wrong shape', () => {
+    expect(() => store.create({ name: 'Dinner', participants: PARTICIPANTS, settings: { midpointStrategy: 'nearest' } }))
+      .toThrow('settings.midpointStrategy is invalid');
+    expect(() => store.create({ name: 'Dinner', participants: PARTICIPANTS, settings: { searchRadius: { radius: { nested: true } } } }))
+      .toThrow('settings.searchRadius is invalid');
+    expect(() => store.create({ name: 'Dinner', participants: PARTICIPANTS, settings: ['geodesic'] }))
+      .toThrow('settings must be an object');
+  });
+
+  it('rejects unknown keys and values of the wrong type inside a setting', () => {
+    expect(() => store.create({ name: 'Dinner', participants: PARTICIPANTS, settings: { searchRadius: { radius: 2, unit: 'km', junk: 'x' } } }))
+      .toThrow('settings.searchRadius is invalid');
+    expect(() => store.create({ name: 'Dinner', participants: PARTICIPANTS, settings: { searchRadius: { radius: '2' } } }))
+      .toThrow('settings.searchRadius is invalid');
+    expect(() => store.create({ name: 'Dinner', participants: PARTICIPANTS, settings: { placeFilters: { minPrice: 7 } } }))
+      .toThrow('settings.placeFilters is invalid');
+    expect(() => store.create({ name: 'Dinner', participants: PARTICIPANTS, settings: { categories: Array(11).fill('cafe') } }))
+      .toThrow('settings.categories is invalid');
+  });
+
+  it('keeps empty filters', () => {
+    const placeFilters = { minPrice: '', maxPrice: 3, minRating: '', minReviews: '', openNow: false };
+    const { meetup } = store.create({ name: 'Dinner', participants: PARTICIPANTS, settings: { placeFilters } });
+    expect(meetup.settings.placeFilters).toEqual(placeFilters);
+  });
+
+  it('applies the same rules when updating', () => {
+    const { meetup } = store.create({ name: 'Dinner', participants: PARTICIPANTS });
+    const updated = store.update(meetup.id, { settings: { categories: ['bar'], theme: 'dark' } });
+    expect(updated.settings).toEqual({ categories: ['bar'] });
+  });
+});
+
+describe('meetup venues', () => {
+  const VENUE = {
+    place_id: 'abc123',
+    name: 'Fixture Diner',
+    vicinity: '123 Main St',
+    rating: 4.5,
+    user_ratings_total: 120,
+    price_level: 2,
+    categories: ['restaurant'],
+    geometry: { location: { lat: 38.6, lng: -121.4 } }
+  };
+
+  it('keeps the fields needed to show a venue', () => {
+    const { meetup } = store.create({ name: 'Dinner', participants: PARTICIPANTS, venues: [{ ...VENUE, photos: [{ photo_reference: 'x' }] }] });
+    expect(meetup.venues).toEqual([VENUE]);
+  });
+
+  it('rejects venues with fields of the wrong type', () => {
+    const create = (venue) => () => store.create({ name: 'Dinner', participants: PARTICIPANTS, venues: [{ ...VENUE, ...venue }] });
+    expect(create({ place_id: 42 })).toThrow('venue place_id is invalid');
+    expect(create({ name: { text: 'Diner' } })).toThrow('venue name is invalid');
+    expect(create({ rating: 'great' })).toThrow('venue rating is invalid');
+    expect(create({ price_level: 9 })).toThrow('venue price_level is invalid');
+    expect(create({ categories: 'restaurant' })).toThrow('venue categories is invalid');
+    expect(() => store.create({ name: 'Dinner', participants: PARTICIPANTS, venues: ['abc123'] }))
+      .toThrow('Every venue needs a place_id');
+  });
+
+  it('rejects oversized venues and shortlists', () => {
+    const create = (venues) => () => store.create({ name: 'Dinner', participants: PARTICIPANTS, venues });
+    expect(create([{ ...VENUE, name: 'x'.repeat(MEETUP_LIMITS.maxAddressLength + 1) }])).toThrow('venue name is invalid');
+    expect(create([{ ...VENUE, place_id: 'x'.repeat(301) }])).toThrow('venue place_id is invalid');
+    expect(create([{ ...VENUE, categories: Array(MEETUP_LIMITS.maxCategories + 1).fill('cafe') }])).toThrow('venue categories is invalid');
+    expect(create(Array(MEETUP_LIMITS.maxVenues + 1).fill(VENUE))).toThrow(`venues must be a list of up to ${MEETUP_LIMITS.maxVenues} places`);
+  });
+});
+
+describe('meetup edit keys', () => {
+  it('only lets the edit key change a meetup', () => {
+    const { meetup, editKey } = store.create({ name: 'Dinner', participants: PARTICIPANTS });
+    const other = store.create({ name: 'Lunch', participants: PARTICIPANTS });
+
+    expect(store.canEdit(meetup.id, editKey)).toBe(true);
+    expect(store.canEdit(meetup.id, other.editKey)).toBe(false);
+    expect(store.canEdit(meetup.id, '')).toBe(false);
+    expect(store.canEdit(meetup.id, undefined)).toBe(false);
+  });
+
+  it('reports unknown meetups as NOT_FOUND', () => {
+    const { editKey } = store.create({ name: 'Dinner', participants: PARTICIPANTS });
+    let error;
+    try {
+      store.canEdit('missing', editKey);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(toApiError(error).code).toBe('NOT_FOUND');
+    expect(() => store.update('missing', { name: 'Lunch' })).toThrow('No meetup with that ID');
+    expect(() => store.remove('missing')).toThrow('No meetup with that ID');
+  });
+
+  it('never hands out the key hash', () => {
+    const { meetup } = store.create({ name: 'Dinner', participants: PARTICIPANTS });
+    expect(meetup.editKeyHash).toBeUndefined();
+    expect(store.get(meetup.id).editKeyHash).toBeUndefined();
+  });
+});
+
+describe('meetup storage', () => {
+  it('reports a full store as STORAGE_FULL', () => {
+    const maxMeetups = MEETUP_LIMITS.maxMeetups;
+    MEETUP_LIMITS.maxMeetups = 2;
+    try {
+      store.create({ name: 'Dinner', participants: PARTICIPANTS });
+      store.create({ name: 'Lunch', participants: PARTICIPANTS });
+      let error;
+      try {
+        store.create({ name: 'Breakfast', participants: PARTICIPANTS });
+      } catch (caught) {
+        error = caught;
+      }
+      expect(toApiError(error)).toMatchObject({ code: 'STORAGE_FULL' });
+      expect(store.size()).toBe(2);
+    } finally {
+      MEETUP_LIMITS.maxMeetups = maxMeetups;
+    }
+  });
+
+  it('writes every change to the file, batching changes made during a write', async () => {
+    const filePath = path.join(dir, 'meetups.json');
+    const { meetup } = store.create({ name: 'Dinner', participants: PARTICIPANTS });
+    store.update(meetup.id, { name: 'Late dinner' });
+    const { meetup: deleted } = store.create({ name: 'Lunch', participants: PARTICIPANTS });
+    store.remove(deleted.id);
+    await store.flush();
+
+    const reopened = createMeetupStore({ filePath });
+    expect(reopened.size()).toBe(1);
+    expect(reopened.get(meetup.id).name).toBe('Late dinner');
+  });
+});
@@ -0,0 +1,72 @@
+// placeFilters.js - Filters for nearby searches
+// Filters a provider supports natively are forwarded upstream (and so are part of the cache key);
+// everything is also applied here, so results are the same whichever provider is in use.
+import { createApiError, ERROR_CODES } from './errors.js';
+
+// Google's price levels run from 0 (free) to 4 (very expensive)
+const MIN_PRICE_LEVEL = 0;
+const MAX_PRICE_LEVEL = 4;
+
+function parseInteger(value, name, min, max) {
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < min || num > max) {
+    throw createApiError(ERROR_CODES.INVALID_REQUEST, `${name} must be a whole number from ${min} to ${max}`);
+  }
+  return num;
+}
+
+// Parse and validate filters from query parameters - absent filters are left out
+// Throws INVALID_REQUEST for values out of range
+export function parsePlaceFilters({ minprice, maxprice, minrating, minreviews, opennow }) {
+  const filters = {};
+
+  if (minprice !== undefined && minprice !== '') {
+    filters.minPrice = parseInteger(minprice, 'minprice', MIN_PRICE_LEVEL, MAX_PRICE_LEVEL);
+  }
+  if (maxprice !== undefined && maxprice !== '') {
+    filters.maxPrice = parseInteger(maxprice, 'maxprice', MIN_PRICE_LEVEL, MAX_PRICE_LEVEL);
+  }
+  if (filters.minPrice !== undefined && filters.maxPrice !== undefined && filters.minPrice > filters.maxPrice) {
+    throw createApiError(ERROR_CODES.INVALID_REQUEST, 'minprice cannot be more than maxprice');
+  }
+
+  if (minrating !== undefined && minrating !== '') {
+    const rating = Number(minrating);
+    if (!Number.isFinite(rating) || rating < 0 || rating > 5) {
+      throw createApiError(ERROR_CODES.INVALID_REQUEST, 'minrating must be a number from 0 to 5');
+    }
+    filters.minRating = rating;
+  }
+  if (minreviews !== undefined && minreviews !== '') {
+    filters.minReviews = parseInteger(minreviews, 'minreviews', 0, Number.MAX_SAFE_INTEGER);
+  }
+
+  if (opennow === 'true' || opennow === '1') {
+    filters.openNow = true;
+  }
+
+  return filters;
+}
+
+// The filters a provider applies itself, from its supportedFilters list
+export function upstreamFilters(filters, supportedFilters = []) {
+  return Object.fromEntries(Object.entries(filters).filter(([name]) => supportedFilters.includes(name)));
+}
+
+// Stable cache key fragment for a set of filters, e.g. "minPrice=1,openNow=true"
+export function filtersCacheKey(filters) {
+  return Object.keys(filters).sort().map(name => `${name}=${filters[name]}`).join(',');
+}
+
+// Keep the places that pass every filter
+// Places missing the field a filter needs are left out, since they can't be shown to pass it
+export function filterPlaces(places, filters) {
+  return places.filter(place => {
+    if (filters.minPrice !== undefined && !(place.price_level >= filters.minPrice)) return false;
+    if (filters.maxPrice !== undefined && !(place.price_level <= filters.maxPrice)) return false;
+    if (filters.minRating !== undefined && !(place.rating >= filters.minRating)) return false;
+    if (filters.minReviews !== undefined && (place.user_ratings_total || 0) < filters.minReviews) return false;
+    if (filters.openNow && !(place.opening_hours && place.opening_hours.open_now)) return false;
+    return true;
+  });
+}
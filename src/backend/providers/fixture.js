@@ -0,0 +1,245 @@
+// fixture.js - Offline provider that generates deterministic data
+// The same input always produces the same output, so it works for local development and tests
+// without any network access. Place IDs encode everything needed to rebuild the place for details.
+import { Readable } from 'stream';
+import { destinationPoint } from '../../shared/geometry.js';
+import {
+  PROVIDER_STATUS,
+  normalizeGeocodeResult,
+  normalizePlace,
+  geocodeResponse,
+  placesResponse,
+  detailsResponse,
+  normalizePrediction,
+  autocompleteResponse
+} from './normalize.js';
+
+// Addresses land within ~20km of Sacramento, the app's default map center
+const BASE_LOCATION = { lat: 38.5816, lng: -121.4944 };
+const GEOCODE_SPREAD_METERS = 20000;
+
+// Mirror Google's paging - 20 results per page, at most 3 pages
+const PAGE_SIZE = 20;
+const MAX_PAGES = 3;
+
+// Addresses starting with this return ZERO_RESULTS, so "not found" paths can be exercised
+const NO_RESULTS_PREFIX = 'nowhere';
+
+// Addresses starting with this return several partial matches, so choosing between them can be exercised
+const AMBIGUOUS_PREFIX = 'ambiguous';
+
+const STREET_NAMES = ['Oak', 'Maple', 'Cedar', 'Elm', 'Willow', 'Birch', 'Aspen', 'Juniper'];
+// Autocomplete suggests the typed address in each of these areas
+const AREA_NAMES = ['Fixture City', 'North Fixture', 'Fixture Heights', 'Old Town Fixture', 'Fixture Valley'];
+const NAME_WORDS = ['Golden', 'Corner', 'River', 'Garden', 'Union', 'Harbor', 'Lantern', 'Copper', 'Summit', 'Meadow'];
+
+// 32-bit FNV-1a hash of a string
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Small seeded PRNG (mulberry32) returning numbers in [0, 1)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Coordinates are stored in IDs as integer microdegrees to satisfy place ID validation
+const toMicro = (degrees) => Math.round(degrees * 1e6);
+const fromMicro = (micro) => parseInt(micro, 10) / 1e6;
+
+const titleCase = (value) => value.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+
+// Pick a point at a random bearing and distance (up to maxDistance meters) from a center
+function randomPointNear(center, maxDistance, random) {
+  // sqrt keeps points evenly spread over the circle's area
+  return destinationPoint(center, random() * 360, Math.sqrt(random()) * maxDistance);
+}
+
+// Build a place from its ID - used by both nearby search and details
+function buildPlace(placeId) {
+  const match = /^fixture_(-?\d+)_(-?\d+)_(\d+)_([a-zA-Z_]+)$/.exec(placeId);
+  if (!match) return null;
+
+  const [, latMicro, lngMicro, index, type] = match;
+  const random = createRandom(hashString(placeId));
+  const name = `${NAME_WORDS[Math.floor(random() * NAME_WORDS.length)]} ${titleCase(type)} ${parseInt(index, 10) + 1}`;
+  const vicinity = `${100 + Math.floor(random() * 900)} ${STREET_NAMES[Math.floor(random() * STREET_NAMES.length)]} St`;
+
+  return normalizePlace({
+    place_id: placeId,
+    name,
+    vicinity,
+    formatted_address: `${vicinity}, Fixture City`,
+    geometry: { location: { lat: fromMicro(latMicro), lng: fromMicro(lngMicro) } },
+    rating: Math.round((3 + random() * 2) * 10) / 10,
+    user_ratings_total: Math.floor(random() * 2000),
+    price_level: 1 + Math.floor(random() * 4),
+    opening_hours: { open_now: random() < 0.75 },
+    photos: [{ photo_reference: `fixturephoto_${placeId}`, width: 400, height: 300 }],
+    website: `https://example.com/${placeId}`,
+    types: [type],
+    business_status: 'OPERATIONAL'
+  });
+}
+
+// Autocomplete suggestions resolve to the point that geocoding their description would give
+// The ID keeps the point and the area, since details has nothing else to go on
+function buildAddress(placeId) {
+  const match = /^fixtureaddress_(-?\d+)_(-?\d+)_(\d+)$/.exec(placeId);
+  if (!match || !AREA_NAMES[match[3]]) return null;
+
+  return normalizePlace({
+    place_id: placeId,
+    name: AREA_NAMES[match[3]],
+    formatted_address: AREA_NAMES[match[3]],
+    geometry: { location: { lat: fromMicro(match[1]), lng: fromMicro(match[2]) } },
+    types: ['street_address']
+  });
+}
+
+function geocodeLocation(address) {
+  return randomPointNear(BASE_LOCATION, GEOCODE_SPREAD_METERS, createRandom(hashString(address.toLowerCase().trim())));
+}
+
+// Page tokens carry the original search so later pages can be regenerated
+function encodePageToken(location, radius, type, page) {
+  return `fixturepage_${toMicro(location.lat)}_${toMicro(location.lng)}_${radius}_${page}_${type}`;
+}
+
+function decodePageToken(token) {
+  const match = /^fixturepage_(-?\d+)_(-?\d+)_(\d+)_(\d+)_([a-zA-Z_]+)$/.exec(token);
+  if (!match) return null;
+  return {
+    location: { lat: fromMicro(match[1]), lng: fromMicro(match[2]) },
+    radius: parseInt(match[3], 10),
+    page: parseInt(match[4], 10),
+    type: match[5]
+  };
+}
+
+// Generate one page of places around a location
+function generatePage(location, radius, type, page) {
+  const random = createRandom(hashString(`${toMicro(location.lat)},${toMicro(location.lng)},${radius},${type},${page}`));
+
+  const results = Array.from({ length: PAGE_SIZE }, (_, i) => {
+    const point = randomPointNear(location, radius, random);
+    return buildPlace(`fixture_${toMicro(point.lat)}_${toMicro(point.lng)}_${page * PAGE_SIZE + i}_${type}`);
+  });
+
+  const nextPageToken = page + 1 < MAX_PAGES ? encodePageToken(location, radius, type, page + 1) : undefined;
+  return placesResponse(PROVIDER_STATUS.OK, results, nextPageToken);
+}
+
+// Placeholder image labelled with the place's name
+function renderPhoto(placeId, maxWidth) {
+  const place = buildPlace(placeId);
+  const hue = hashString(placeId) % 360;
+  const width = maxWidth;
+  const height = Math.round(maxWidth * 0.75);
+  const label = (place ? place.name : 'Fixture photo').replace(/[<>&"]/g, '');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<rect width="100%" height="100%" fill="hsl(${hue}, 55%, 70%)"/>` +
+    `<text x="50%" y="50%" font-family="sans-serif" font-size="${Math.round(width / 16)}" text-anchor="middle" fill="#333">${label}</text>` +
+    '</svg>';
+}
+
+export function createFixtureProvider() {
+  return {
+    name: 'fixture',
+
+    async geocode({ address }) {
+      const normalized = address.toLowerCase().trim();
+      if (normalized.startsWith(NO_RESULTS_PREFIX)) {
+        return geocodeResponse(PROVIDER_STATUS.ZERO_RESULTS);
+      }
+      if (normalized.startsWith(AMBIGUOUS_PREFIX)) {
+        return geocodeResponse(PROVIDER_STATUS.OK, AREA_NAMES.slice(0, 3).map(area => {
+          const description = `${titleCase(address.trim())}, ${area}`;
+          return normalizeGeocodeResult({
+            place_id: `fixturegeocode_${hashString(description.toLowerCase())}`,
+            formatted_address: description,
+            geometry: { location: geocodeLocation(description), location_type: 'APPROXIMATE' },
+            partial_match: true,
+            types: ['locality']
+          });
+        }));
+      }
+
+      return geocodeResponse(PROVIDER_STATUS.OK, [normalizeGeocodeResult({
+        place_id: `fixturegeocode_${hashString(normalized)}`,
+        formatted_address: titleCase(address.trim()),
+        geometry: { location: geocodeLocation(address), location_type: 'ROOFTOP' },
+        types: ['street_address']
+      })]);
+    },
+
+    async reverseGeocode({ location }) {
+      const random = createRandom(hashString(`${toMicro(location.lat)},${toMicro(location.lng)}`));
+      const street = `${100 + Math.floor(random() * 900)} ${STREET_NAMES[Math.floor(random() * STREET_NAMES.length)]} St`;
+
+      return geocodeResponse(PROVIDER_STATUS.OK, [normalizeGeocodeResult({
+        place_id: `fixturegeocode_${hashString(street.toLowerCase())}`,
+        formatted_address: `${street}, ${AREA_NAMES[0]}`,
+        geometry: { location, location_type: 'ROOFTOP' },
+        types: ['street_address']
+      })]);
+    },
+
+    async nearby({ location, radius, type, pagetoken }) {
+      if (pagetoken) {
+        const search = decodePageToken(pagetoken);
+        if (!search) {
+          return placesResponse(PROVIDER_STATUS.INVALID_REQUEST, [], undefined, 'Unknown page token');
+        }
+        return generatePage(search.location, search.radius, search.type, search.page);
+      }
+
+      return generatePage(location, radius, type, 0);
+    },
+
+    async details({ placeId }) {
+      const place = buildPlace(placeId) || buildAddress(placeId);
+      return place ? detailsResponse(PROVIDER_STATUS.OK, place) : detailsResponse(PROVIDER_STATUS.NOT_FOUND);
+    },
+
+    async autocomplete({ input }) {
+      const typed = titleCase(input.trim());
+      if (typed.toLowerCase().startsWith(NO_RESULTS_PREFIX)) {
+        return autocompleteResponse(PROVIDER_STATUS.ZERO_RESULTS);
+      }
+
+      const predictions = AREA_NAMES.map((area, index) => {
+        const description = `${typed}, ${area}`;
+        const location = geocodeLocation(description);
+        return normalizePrediction({
+          place_id: `fixtureaddress_${toMicro(location.lat)}_${toMicro(location.lng)}_${index}`,
+          description,
+          structured_formatting: { main_text: typed, secondary_text: area },
+          types: ['street_address']
+        });
+      });
+      return autocompleteResponse(PROVIDER_STATUS.OK, predictions);
+    },
+
+    async photo({ reference, maxWidth }) {
+      const placeId = reference.replace(/^fixturephoto_/, '');
+      return {
+        contentType: 'image/svg+xml',
+        data: Readable.from([renderPhoto(placeId, maxWidth)])
+      };
+    }
+  };
+}
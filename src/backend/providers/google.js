@@ -0,0 +1,123 @@
+// google.js - Google Maps Platform provider (Geocoding + Places)
+import {
+  normalizeGeocodeResult,
+  normalizePlace,
+  geocodeResponse,
+  placesResponse,
+  detailsResponse,
+  normalizePrediction,
+  autocompleteResponse
+} from './normalize.js';
+
+const GOOGLE_MAPS_API_URL = 'https://maps.googleapis.com/maps/api';
+
+// Page tokens take a moment to become valid after Google issues them
+const PAGE_TOKEN_DELAY = 2000;
+
+// Nearby search filters Google applies itself - see placeFilters.js
+const NEARBY_FILTER_PARAMS = {
+  minPrice: 'minprice',
+  maxPrice: 'maxprice',
+  openNow: 'opennow'
+};
+
+// Categories Google has no place type for are searched by keyword instead
+const KEYWORD_TYPES = {
+  coworking: 'coworking space'
+};
+
+export function createGoogleProvider({ httpClient, apiKey }) {
+  // GET a Google Maps endpoint, logging the URL without the key
+  async function request(path, params, options) {
+    const query = Object.entries({ ...params, key: apiKey })
+      .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+      .join('&');
+    const apiUrl = `${GOOGLE_MAPS_API_URL}/${path}?${query}`;
+
+    console.log(`Making request to Google Maps: ${apiUrl.replace(/key=[^&]+/, 'key=REDACTED')}`);
+
+    return httpClient.get(apiUrl, options);
+  }
+
+  return {
+    name: 'google',
+    supportedFilters: Object.keys(NEARBY_FILTER_PARAMS),
+
+    async geocode({ address, region, components }) {
+      const params = { address };
+      if (region) {
+        params.region = region;
+      }
+      if (components) {
+        params.components = components;
+      }
+
+      const { data } = await request('geocode/json', params);
+      return geocodeResponse(data.status, (data.results || []).map(normalizeGeocodeResult), data.error_message);
+    },
+
+    async reverseGeocode({ location }) {
+      const { data } = await request('geocode/json', { latlng: `${location.lat},${location.lng}` });
+      return geocodeResponse(data.status, (data.results || []).map(normalizeGeocodeResult), data.error_message);
+    },
+
+    async nearby({ location, radius, type, pagetoken, filters = {} }) {
+      let params;
+      if (pagetoken) {
+        // Page tokens require a delay before they're valid
+        await new Promise(resolve => setTimeout(resolve, PAGE_TOKEN_DELAY));
+        params = { pagetoken };
+      } else {
+        params = { location: `${location.lat},${location.lng}`, radius };
+        if (KEYWORD_TYPES[type]) {
+          params.keyword = KEYWORD_TYPES[type];
+        } else {
+          params.type = type;
+        }
+        for (const [filter, param] of Object.entries(NEARBY_FILTER_PARAMS)) {
+          if (filters[filter] !== undefined) {
+            params[param] = filters[filter];
+          }
+        }
+      }
+
+      const { data } = await request('place/nearbysearch/json', params);
+      return placesResponse(data.status, (data.results || []).map(normalizePlace), data.next_page_token, data.error_message);
+    },
+
+    async details({ placeId, fields, sessionToken }) {
+      const params = { place_id: placeId };
+      if (fields && fields.length > 0) {
+        params.fields = fields.join(',');
+      }
+      // Ends the autocomplete session the place was picked in, so Google bills it as one session
+      if (sessionToken) {
+        params.sessiontoken = sessionToken;
+      }
+
+      const { data } = await request('place/details/json', params);
+      return detailsResponse(data.status, data.result ? normalizePlace(data.result) : undefined, data.error_message);
+    },
+
+    async autocomplete({ input, sessionToken, location, radius }) {
+      const params = { input, types: 'geocode' };
+      if (sessionToken) {
+        params.sessiontoken = sessionToken;
+      }
+      if (location) {
+        params.location = `${location.lat},${location.lng}`;
+        params.radius = radius;
+      }
+
+      const { data } = await request('place/autocomplete/json', params);
+      return autocompleteResponse(data.status, (data.predictions || []).map(normalizePrediction), data.error_message);
+    },
+
+    async photo({ reference, maxWidth }) {
+      const response = await request('place/photo', { maxwidth: maxWidth, photoreference: reference }, {
+        responseType: 'stream'
+      });
+      return { contentType: response.headers['content-type'], data: response.data };
+    }
+  };
+}
@@ -0,0 +1,38 @@
+// providers/index.js - Maps data providers (geocode, reverse geocode, nearby, details, autocomplete, photo)
+//
+// Every provider exposes the same async methods and returns the normalized shape in normalize.js:
+//   geocode({ address, region, components })
+//   reverseGeocode({ location })
+//   nearby({ location, radius, type, pagetoken, filters })
+//   details({ placeId, fields, sessionToken })
+//   autocomplete({ input, sessionToken, location, radius })
+//   photo({ reference, maxWidth })
+//
+// region biases geocoding toward a country (a ccTLD such as "us"); components restricts it, e.g.
+// "country:US|postal_code:95814". Providers that can't bias use what they can and ignore the rest.
+// sessionToken groups the autocomplete requests made while typing one address with the details
+// lookup that resolves the chosen suggestion. Providers that don't bill by session ignore it.
+// A provider can list the nearby filters it applies itself in supportedFilters (see placeFilters.js).
+import { createGoogleProvider } from './google.js';
+import { createOsmProvider } from './osm.js';
+import { createFixtureProvider } from './fixture.js';
+
+export { PROVIDER_STATUS } from './normalize.js';
+
+export const PROVIDER_NAMES = ['google', 'osm', 'fixture'];
+
+// Create the provider selected by name - defaults to Google
+export function createProvider(name, options) {
+  switch (name) {
+    case 'osm':
+      return createOsmProvider(options.osm);
+    case 'fixture':
+      return createFixtureProvider();
+    case 'google':
+    case undefined:
+    case '':
+      return createGoogleProvider(options.google);
+    default:
+      throw new Error(`Unknown maps provider "${name}". Expected one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+}
@@ -0,0 +1,119 @@
+// normalize.js - The normalized response shape every maps provider returns
+//
+// Responses keep the familiar { status, results } envelope so the frontend works with any provider:
+//   geocode:  { status, results: [GeocodeResult] } - reverse geocoding too, best match first
+//   nearby:   { status, results: [Place], next_page_token? }
+//   details:  { status, result: Place }
+//   autocomplete: { status, predictions: [Prediction] }
+//   photo:    { contentType, data: Readable stream }
+// Failed lookups report one of PROVIDER_STATUS with an optional error_message.
+
+export const PROVIDER_STATUS = {
+  OK: 'OK',
+  ZERO_RESULTS: 'ZERO_RESULTS',
+  NOT_FOUND: 'NOT_FOUND',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  OVER_QUERY_LIMIT: 'OVER_QUERY_LIMIT',
+  REQUEST_DENIED: 'REQUEST_DENIED',
+  UNKNOWN_ERROR: 'UNKNOWN_ERROR'
+};
+
+// Copy only the keys that have a value
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null));
+}
+
+const toNumber = (value) => {
+  const num = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(num) ? num : undefined;
+};
+
+function normalizeLocation(location) {
+  if (!location) return undefined;
+  const lat = toNumber(location.lat);
+  const lng = toNumber(location.lng);
+  return lat !== undefined && lng !== undefined ? { lat, lng } : undefined;
+}
+
+// A single geocoding match
+export function normalizeGeocodeResult(result) {
+  return compact({
+    place_id: result.place_id,
+    formatted_address: result.formatted_address,
+    geometry: compact({
+      location: normalizeLocation(result.geometry && result.geometry.location),
+      location_type: result.geometry && result.geometry.location_type
+    }),
+    partial_match: result.partial_match,
+    importance: toNumber(result.importance),
+    types: result.types
+  });
+}
+
+// A place (venue) from a nearby search or a details lookup
+export function normalizePlace(place) {
+  const location = normalizeLocation(place.geometry && place.geometry.location);
+
+  return compact({
+    place_id: place.place_id,
+    name: place.name,
+    vicinity: place.vicinity,
+    formatted_address: place.formatted_address,
+    geometry: location ? { location } : undefined,
+    rating: toNumber(place.rating),
+    user_ratings_total: toNumber(place.user_ratings_total),
+    price_level: toNumber(place.price_level),
+    opening_hours: place.opening_hours ? compact({
+      open_now: place.opening_hours.open_now,
+      weekday_text: place.opening_hours.weekday_text
+    }) : undefined,
+    photos: Array.isArray(place.photos) ? place.photos.map(photo => compact({
+      photo_reference: photo.photo_reference,
+      width: photo.width,
+      height: photo.height
+    })) : undefined,
+    website: place.website,
+    types: place.types,
+    business_status: place.business_status
+  });
+}
+
+// An address suggestion from autocomplete - resolve it with a details lookup on its place_id
+// main_text is the most specific part ("1 Main St"), secondary_text the rest ("Sacramento, CA, USA")
+export function normalizePrediction(prediction) {
+  const formatting = prediction.structured_formatting || {};
+  return compact({
+    place_id: prediction.place_id,
+    description: prediction.description,
+    main_text: formatting.main_text,
+    secondary_text: formatting.secondary_text,
+    types: prediction.types
+  });
+}
+
+// Envelope helpers - non-OK statuses carry the provider's message along
+export function geocodeResponse(status, results = [], errorMessage) {
+  return compact({ status, results, error_message: errorMessage });
+}
+
+export function placesResponse(status, results = [], nextPageToken, errorMessage) {
+  return compact({ status, results, next_page_token: nextPageToken, error_message: errorMessage });
+}
+
+export function detailsResponse(status, result, errorMessage) {
+  return compact({ status, result, error_message: errorMessage });
+}
+
+export function autocompleteResponse(status, predictions = [], errorMessage) {
+  return compact({ status, predictions, error_message: errorMessage });
+}
+
+// Map an HTTP failure from a non-Google upstream onto a normalized status
+export function statusFromHttpError(error) {
+  const httpStatus = error.response && error.response.status;
+  if (httpStatus === 429) return PROVIDER_STATUS.OVER_QUERY_LIMIT;
+  if (httpStatus === 401 || httpStatus === 403) return PROVIDER_STATUS.REQUEST_DENIED;
+  if (httpStatus === 400) return PROVIDER_STATUS.INVALID_REQUEST;
+  if (httpStatus === 404) return PROVIDER_STATUS.NOT_FOUND;
+  return PROVIDER_STATUS.UNKNOWN_ERROR;
+}
@@ -0,0 +1,220 @@
+// osm.js - OpenStreetMap provider (Nominatim geocoding + Overpass POI queries)
+// Meant to point at self-hosted instances - the public servers have strict usage policies.
+import { distanceMeters } from '../../shared/geometry.js';
+import { createApiError, ERROR_CODES } from '../errors.js';
+import {
+  PROVIDER_STATUS,
+  normalizeGeocodeResult,
+  normalizePlace,
+  geocodeResponse,
+  placesResponse,
+  detailsResponse,
+  normalizePrediction,
+  autocompleteResponse,
+  statusFromHttpError
+} from './normalize.js';
+
+// Nominatim has no autocomplete, so suggestions are a short search
+const AUTOCOMPLETE_LIMIT = 5;
+
+// Overpass can return a lot - cap results at what Google would page through
+const MAX_RESULTS = 60;
+const OVERPASS_TIMEOUT_SECONDS = 25;
+
+// Google-style place types mapped to the OSM tags that describe them
+const OSM_TYPE_TAGS = {
+  restaurant: [['amenity', 'restaurant']],
+  cafe: [['amenity', 'cafe']],
+  bar: [['amenity', 'bar'], ['amenity', 'pub']],
+  park: [['leisure', 'park']],
+  library: [['amenity', 'library']],
+  coworking: [['office', 'coworking'], ['amenity', 'coworking_space']],
+  meal_takeaway: [['amenity', 'fast_food']]
+};
+
+// Unmapped types are looked up as amenities of the same name
+const tagsForType = (type) => OSM_TYPE_TAGS[type] || [['amenity', type]];
+
+// OSM ids are only unique per element type, so both go into the place id
+const toPlaceId = (element) => `osm-${element.type}-${element.id}`;
+
+function parsePlaceId(placeId) {
+  const match = /^osm-(node|way|relation)-(\d+)$/.exec(placeId);
+  return match ? { type: match[1], id: match[2] } : null;
+}
+
+// Nominatim can only restrict to countries, so the country component is the one it uses
+function countryFromComponents(components) {
+  const match = /(?:^|\|)country:([a-z]{2})(?:\||$)/i.exec(components || '');
+  return match ? match[1].toLowerCase() : undefined;
+}
+
+// Build a street address from addr:* tags
+function formatAddress(tags) {
+  const street = [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ');
+  return [street, tags['addr:city']].filter(Boolean).join(', ') || undefined;
+}
+
+// Convert an Overpass element into a normalized place
+function elementToPlace(element) {
+  const tags = element.tags || {};
+  const lat = element.lat !== undefined ? element.lat : element.center && element.center.lat;
+  const lng = element.lon !== undefined ? element.lon : element.center && element.center.lon;
+
+  return normalizePlace({
+    place_id: toPlaceId(element),
+    name: tags.name,
+    vicinity: formatAddress(tags),
+    formatted_address: formatAddress(tags),
+    geometry: { location: { lat, lng } },
+    // OSM opening hours use their own syntax, so they're shown as-is rather than as open/closed
+    opening_hours: tags.opening_hours ? { weekday_text: [tags.opening_hours] } : undefined,
+    website: tags.website || tags['contact:website'],
+    types: [tags.amenity || tags.leisure || tags.shop].filter(Boolean)
+  });
+}
+
+export function createOsmProvider({ httpClient, nominatimUrl, overpassUrl, userAgent }) {
+  // Nominatim's usage policy asks every client to identify itself
+  const headers = { 'User-Agent': userAgent };
+
+  async function runOverpassQuery(query) {
+    console.log(`Making Overpass query: ${query}`);
+    const response = await httpClient.post(overpassUrl, `data=${encodeURIComponent(query)}`, {
+      headers: { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+    return response.data.elements || [];
+  }
+
+  return {
+    name: 'osm',
+
+    async geocode({ address, components }) {
+      try {
+        console.log(`Making Nominatim search for: ${address}`);
+        const params = { q: address, format: 'jsonv2', limit: 5 };
+        const country = countryFromComponents(components);
+        if (country) {
+          params.countrycodes = country;
+        }
+        const response = await httpClient.get(`${nominatimUrl}/search`, { headers, params });
+
+        const results = (response.data || []).map(result => normalizeGeocodeResult({
+          place_id: `osm-${result.osm_type}-${result.osm_id}`,
+          formatted_address: result.display_name,
+          geometry: {
+            location: { lat: result.lat, lng: result.lon },
+            // Nominatim doesn't grade precision like Google does - buildings are exact, everything else approximate
+            location_type: result.category === 'building' || result.type === 'house' ? 'ROOFTOP' : 'APPROXIMATE'
+          },
+          // How well known the place is, from 0 to 1 - tells a likely match from the rest of the list
+          importance: result.importance,
+          types: [result.type].filter(Boolean)
+        }));
+
+        return geocodeResponse(results.length > 0 ? PROVIDER_STATUS.OK : PROVIDER_STATUS.ZERO_RESULTS, results);
+      } catch (error) {
+        return geocodeResponse(statusFromHttpError(error), [], error.message);
+      }
+    },
+
+    async reverseGeocode({ location }) {
+      try {
+        console.log(`Making Nominatim reverse lookup for: ${location.lat},${location.lng}`);
+        const response = await httpClient.get(`${nominatimUrl}/reverse`, {
+          headers,
+          params: { lat: location.lat, lon: location.lng, format: 'jsonv2' }
+        });
+
+        // Nominatim answers a spot with nothing nearby with an error rather than a 404
+        const result = response.data;
+        if (!result || result.error) {
+          return geocodeResponse(PROVIDER_STATUS.ZERO_RESULTS);
+        }
+
+        return geocodeResponse(PROVIDER_STATUS.OK, [normalizeGeocodeResult({
+          place_id: `osm-${result.osm_type}-${result.osm_id}`,
+          formatted_address: result.display_name,
+          geometry: { location: { lat: result.lat, lng: result.lon }, location_type: 'APPROXIMATE' },
+          types: [result.type].filter(Boolean)
+        })]);
+      } catch (error) {
+        return geocodeResponse(statusFromHttpError(error), [], error.message);
+      }
+    },
+
+    async nearby({ location, radius, type, pagetoken }) {
+      // Overpass returns everything at once, so there are never further pages
+      if (pagetoken) {
+        return placesResponse(PROVIDER_STATUS.INVALID_REQUEST, [], undefined, 'Paging is not supported by the OpenStreetMap provider');
+      }
+
+      try {
+        const around = `(around:${radius},${location.lat},${location.lng})`;
+        const selectors = tagsForType(type)
+          .flatMap(([key, value]) => ['node', 'way'].map(element => `${element}["${key}"="${value}"]["name"]${around};`))
+          .join('');
+        const elements = await runOverpassQuery(`[out:json][timeout:${OVERPASS_TIMEOUT_SECONDS}];(${selectors});out center tags;`);
+
+        // Closest first, matching Google's prominence ordering as closely as OSM allows
+        const results = elements
+          .map(elementToPlace)
+          .filter(place => place.geometry)
+          .sort((a, b) => distanceMeters(location, a.geometry.location) - distanceMeters(location, b.geometry.location))
+          .slice(0, MAX_RESULTS);
+
+        return placesResponse(results.length > 0 ? PROVIDER_STATUS.OK : PROVIDER_STATUS.ZERO_RESULTS, results);
+      } catch (error) {
+        return placesResponse(statusFromHttpError(error), [], undefined, error.message);
+      }
+    },
+
+    async autocomplete({ input, location }) {
+      try {
+        console.log(`Making Nominatim autocomplete search for: ${input}`);
+        const params = { q: input, format: 'jsonv2', limit: AUTOCOMPLETE_LIMIT };
+        // Prefer, but don't require, matches near the bias point
+        if (location) {
+          params.viewbox = `${location.lng - 1},${location.lat + 1},${location.lng + 1},${location.lat - 1}`;
+        }
+        const response = await httpClient.get(`${nominatimUrl}/search`, { headers, params });
+
+        const predictions = (response.data || []).map(result => {
+          const [mainText, ...rest] = (result.display_name || '').split(', ');
+          return normalizePrediction({
+            place_id: `osm-${result.osm_type}-${result.osm_id}`,
+            description: result.display_name,
+            structured_formatting: { main_text: mainText, secondary_text: rest.join(', ') || undefined },
+            types: [result.type].filter(Boolean)
+          });
+        });
+
+        return autocompleteResponse(predictions.length > 0 ? PROVIDER_STATUS.OK : PROVIDER_STATUS.ZERO_RESULTS, predictions);
+      } catch (error) {
+        return autocompleteResponse(statusFromHttpError(error), [], error.message);
+      }
+    },
+
+    async details({ placeId }) {
+      const parsed = parsePlaceId(placeId);
+      if (!parsed) {
+        return detailsResponse(PROVIDER_STATUS.INVALID_REQUEST, undefined, 'Not an OpenStreetMap place ID');
+      }
+
+      try {
+        const elements = await runOverpassQuery(`[out:json][timeout:${OVERPASS_TIMEOUT_SECONDS}];${parsed.type}(${parsed.id});out center tags;`);
+        if (elements.length === 0) {
+          return detailsResponse(PROVIDER_STATUS.NOT_FOUND);
+        }
+        return detailsResponse(PROVIDER_STATUS.OK, elementToPlace(elements[0]));
+      } catch (error) {
+        return detailsResponse(statusFromHttpError(error), undefined, error.message);
+      }
+    },
+
+    async photo() {
+      // OSM places never carry photo references, so there is nothing to fetch
+      throw createApiError(ERROR_CODES.NOT_FOUND, 'Photos are not available from the OpenStreetMap provider');
+    }
+  };
+}
@@ -0,0 +1,270 @@
+// quota.js - Per-client request quotas with daily and monthly budgets per tier
+// Only upstream API calls count against a quota - cached responses are free.
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+import onHeaders from 'on-headers';
+import { createApiError, sendError, ERROR_CODES } from './errors.js';
+
+// Budgets per tier - null means unlimited
+export const DEFAULT_QUOTA_TIERS = {
+  anonymous: { daily: 50, monthly: 500 },
+  standard: { daily: 500, monthly: 10000 },
+  unlimited: { daily: null, monthly: null }
+};
+
+const SESSION_COOKIE = 'rdv_session';
+const SESSION_MAX_AGE = 365 * 24 * 60 * 60; // 1 year, in seconds
+
+// Drop usage records from earlier months once this many clients are tracked
+const MAX_TRACKED_CLIENTS = 10000;
+
+// Charge groups (see claim) are remembered this long after their first charged call,
+// and the oldest are forgotten once this many are tracked
+const CHARGE_GROUP_TTL = 10 * 60 * 1000; // 10 minutes
+const MAX_TRACKED_GROUPS = 10000;
+
+// Parse "key1:tier1,key2:tier2" into a Map of API key -> tier
+export function parseApiKeys(value, tiers) {
+  const apiKeys = new Map();
+  if (!value) return apiKeys;
+
+  for (const pair of value.split(',')) {
+    const [key, tier = 'standard'] = pair.split(':').map(part => part.trim());
+    if (!key) continue;
+    if (!tiers[tier]) {
+      throw new Error(`Unknown quota tier "${tier}" for API key ${key.substring(0, 4)}...`);
+    }
+    apiKeys.set(key, tier);
+  }
+
+  return apiKeys;
+}
+
+// Minimal cookie header parser
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+  }
+
+  return cookies;
+}
+
+// Current UTC period keys
+const dayKey = (now) => now.toISOString().slice(0, 10);
+const monthKey = (now) => now.toISOString().slice(0, 7);
+
+// Start of the next UTC day and month
+function nextDay(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+function nextMonth(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+// identifyBy: 'ip' (default) or 'session' - API keys always take priority
+export function createQuotaTracker({ tiers = DEFAULT_QUOTA_TIERS, apiKeys = new Map(), identifyBy = 'ip', sessionSecret, secureCookies = false }) {
+  const usage = new Map();
+  // "<client id>|<group>" -> when the charge group is forgotten
+  const chargeGroups = new Map();
+  // Sign session ids so clients can't mint fresh quotas with made-up cookies
+  const secret = sessionSecret || crypto.randomBytes(32).toString('hex');
+
+  const sign = (value) => crypto.createHmac('sha256', secret).update(value).digest('base64url');
+
+  function readSession(cookies) {
+    const [id, signature] = (cookies[SESSION_COOKIE] || '').split('.');
+    if (!id || !signature) return null;
+
+    const expected = sign(id);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return null;
+    }
+    return id;
+  }
+
+  function issueSession(res) {
+    const id = crypto.randomUUID();
+    res.append('Set-Cookie', [
+      `${SESSION_COOKIE}=${id}.${sign(id)}`,
+      'Path=/',
+      `Max-Age=${SESSION_MAX_AGE}`,
+      'HttpOnly',
+      'SameSite=Lax',
+      ...(secureCookies ? ['Secure'] : [])
+    ].join('; '));
+    return id;
+  }
+
+  // Usage record for a client, rolled over if the day or month has changed
+  function getUsage(client) {
+    const now = new Date();
+    let record = usage.get(client.id);
+
+    if (!record) {
+      if (usage.size >= MAX_TRACKED_CLIENTS) {
+        pruneUsage(monthKey(now));
+      }
+      record = { day: dayKey(now), month: monthKey(now), dailyUsed: 0, monthlyUsed: 0 };
+      usage.set(client.id, record);
+    }
+
+    if (record.month !== monthKey(now)) {
+      record.month = monthKey(now);
+      record.monthlyUsed = 0;
+    }
+    if (record.day !== dayKey(now)) {
+      record.day = dayKey(now);
+      record.dailyUsed = 0;
+    }
+
+    return record;
+  }
+
+  // Forget clients with no usage this month
+  function pruneUsage(currentMonth) {
+    for (const [id, record] of usage) {
+      if (record.month !== currentMonth) {
+        usage.delete(id);
+      }
+    }
+  }
+
+  const remainingOf = (limit, used) => limit === null ? null : Math.max(0, limit - used);
+
+  // Quota summary for a client
+  function status(client) {
+    const record = getUsage(client);
+    const budget = tiers[client.tier];
+    const now = new Date();
+
+    return {
+      client: client.type,
+      tier: client.tier,
+      daily: {
+        limit: budget.daily,
+        used: record.dailyUsed,
+        remaining: remainingOf(budget.daily, record.dailyUsed),
+        resetsAt: nextDay(now).toISOString()
+      },
+      monthly: {
+        limit: budget.monthly,
+        used: record.monthlyUsed,
+        remaining: remainingOf(budget.monthly, record.monthlyUsed),
+        resetsAt: nextMonth(now).toISOString()
+      }
+    };
+  }
+
+  function setHeaders(res, client) {
+    const { tier, daily, monthly } = status(client);
+    const format = (value) => value === null ? 'unlimited' : String(value);
+
+    res.set('X-Quota-Tier', tier);
+    res.set('X-Quota-Limit-Day', format(daily.limit));
+    res.set('X-Quota-Remaining-Day', format(daily.remaining));
+    res.set('X-Quota-Limit-Month', format(monthly.limit));
+    res.set('X-Quota-Remaining-Month', format(monthly.remaining));
+  }
+
+  // Work out who is making a request - returns null for an unknown API key
+  function identify(req, res) {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+      if (!apiKeys.has(apiKey)) return null;
+      // Key the usage by a hash so raw keys never sit in memory or logs
+      const hash = crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+      return { id: `key:${hash}`, type: 'api-key', tier: apiKeys.get(apiKey) };
+    }
+
+    if (identifyBy === 'session') {
+      const sessionId = readSession(parseCookies(req.get('Cookie'))) || issueSession(res);
+      return { id: `session:${sessionId}`, type: 'session', tier: 'anonymous' };
+    }
+
+    return { id: `ip:${req.ip}`, type: 'ip', tier: 'anonymous' };
+  }
+
+  return {
+    identify,
+
+    // Throws QUOTA_EXCEEDED if the client has used up its daily or monthly budget
+    check(client) {
+      const { daily, monthly } = status(client);
+      const secondsUntil = (resetsAt) => Math.ceil((new Date(resetsAt) - Date.now()) / 1000);
+
+      if (monthly.remaining === 0) {
+        throw createApiError(ERROR_CODES.QUOTA_EXCEEDED, 'Monthly request quota reached for this client', secondsUntil(monthly.resetsAt));
+      }
+      if (daily.remaining === 0) {
+        throw createApiError(ERROR_CODES.QUOTA_EXCEEDED, 'Daily request quota reached for this client', secondsUntil(daily.resetsAt));
+      }
+    },
+
+    // Count one upstream request against the client
+    charge(client) {
+      const record = getUsage(client);
+      record.dailyUsed++;
+      record.monthlyUsed++;
+    },
+
+    // Claim a charge group - calls sharing a group, like the requests made while typing one address,
+    // count once. True for the call that should be charged, the first in the group; the group is
+    // remembered for CHARGE_GROUP_TTL after that
+    claim(client, group) {
+      const now = Date.now();
+      const key = `${client.id}|${group}`;
+      const expiresAt = chargeGroups.get(key);
+      if (expiresAt && expiresAt > now) return false;
+
+      if (chargeGroups.size >= MAX_TRACKED_GROUPS) {
+        for (const [trackedKey, trackedExpiresAt] of chargeGroups) {
+          if (trackedExpiresAt <= now) chargeGroups.delete(trackedKey);
+        }
+        // Still full - forget the oldest
+        if (chargeGroups.size >= MAX_TRACKED_GROUPS) {
+          chargeGroups.delete(chargeGroups.keys().next().value);
+        }
+      }
+      chargeGroups.delete(key);
+      chargeGroups.set(key, now + CHARGE_GROUP_TTL);
+      return true;
+    },
+
+    // Give up a claim whose call wasn't charged after all, so the group's next call is
+    release(client, group) {
+      chargeGroups.delete(`${client.id}|${group}`);
+    },
+
+    status,
+
+    // Express middleware - identifies the client and reports its quota on every response
+    middleware() {
+      return (req, res, next) => {
+        const client = identify(req, res);
+        if (!client) {
+          return sendError(res, createApiError(ERROR_CODES.UNAUTHORIZED, 'Invalid API key'));
+        }
+
+        req.client = client;
+        onHeaders(res, () => setHeaders(res, client));
+        next();
+      };
+    },
+
+    size() {
+      return usage.size;
+    },
+
+    reset() {
+      usage.clear();
+      chargeGroups.clear();
+    }
+  };
+}
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { createQuotaTracker } from './quota.js';
+
+const ALICE = { id: 'ip:10.0.0.1', type: 'ip', tier: 'anonymous' };
+const BOB = { id: 'ip:10.0.0.2', type: 'ip', tier: 'anonymous' };
+
+describe('claim', () => {
+  it('is true only for the first call of a charge group', () => {
+    const quota = createQuotaTracker({});
+    expect(quota.claim(ALICE, 'autocomplete:token-1')).toBe(true);
+    expect(quota.claim(ALICE, 'autocomplete:token-1')).toBe(false);
+    expect(quota.claim(ALICE, 'autocomplete:token-2')).toBe(true);
+  });
+
+  it('keeps each client\'s groups apart', () => {
+    const quota = createQuotaTracker({});
+    expect(quota.claim(ALICE, 'autocomplete:token-1')).toBe(true);
+    expect(quota.claim(BOB, 'autocomplete:token-1')).toBe(true);
+  });
+
+  it('lets the next call claim a released group', () => {
+    const quota = createQuotaTracker({});
+    quota.claim(ALICE, 'autocomplete:token-1');
+    quota.release(ALICE, 'autocomplete:token-1');
+    expect(quota.claim(ALICE, 'autocomplete:token-1')).toBe(true);
+  });
+
+  it('forgets groups on reset', () => {
+    const quota = createQuotaTracker({});
+    quota.claim(ALICE, 'autocomplete:token-1');
+    quota.reset();
+    expect(quota.claim(ALICE, 'autocomplete:token-1')).toBe(true);
+  });
+});
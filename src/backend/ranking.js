@@ -0,0 +1,110 @@
+// ranking.js - Scores candidate places so the best fit for the whole group comes first
+// Each place gets a score from 0 to 1 mixing four components, each also from 0 to 1:
+//   rating     - the place's rating out of 5
+//   popularity - how many reviews the rating is based on, on a log scale
+//   distance   - how close the place is to the meeting point, relative to the search radius
+//   fairness   - how evenly the trip is shared, from the gap between the quickest and slowest participant's
+//                trip - estimated from distance and each participant's travel mode
+// The weights say how much each component counts; they don't have to add up to 1.
+import { distanceMeters } from '../shared/geometry.js';
+import { TYPICAL_SPEEDS } from './distanceMatrix.js';
+
+export const DEFAULT_RANKING_WEIGHTS = {
+  rating: 0.35,
+  popularity: 0.15,
+  distance: 0.2,
+  fairness: 0.3
+};
+
+// Review count that earns full popularity marks - 1000 reviews counts the same as 10000
+const POPULAR_REVIEW_COUNT = 1000;
+
+// Check weights from configuration - every weight a non-negative number, at least one above zero
+export function validateWeights(weights) {
+  const entries = Object.entries(weights);
+  const unknown = entries.find(([name]) => !(name in DEFAULT_RANKING_WEIGHTS));
+  if (unknown) {
+    throw new Error(`Unknown ranking weight "${unknown[0]}"`);
+  }
+  if (!entries.every(([, weight]) => Number.isFinite(weight) && weight >= 0)) {
+    throw new Error('Ranking weights must be non-negative numbers');
+  }
+  if (!entries.some(([, weight]) => weight > 0)) {
+    throw new Error('At least one ranking weight must be above zero');
+  }
+  return weights;
+}
+
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// Rough trip time in seconds - the same distance takes far longer on foot than by car
+function estimateTripTime(distance, mode) {
+  return distance / (TYPICAL_SPEEDS[mode] || TYPICAL_SPEEDS.driving);
+}
+
+function scoreComponents(place, distanceFromCenter, tripTimes, radius) {
+  const components = {
+    rating: typeof place.rating === 'number' ? Math.min(place.rating / 5, 1) : 0,
+    popularity: Math.min(Math.log10(1 + (place.user_ratings_total || 0)) / Math.log10(1 + POPULAR_REVIEW_COUNT), 1),
+    distance: Math.max(0, 1 - distanceFromCenter / radius)
+  };
+
+  // Imbalance is the gap between the longest and shortest trip as a share of the longest
+  if (tripTimes.length >= 2) {
+    const longest = Math.max(...tripTimes);
+    const shortest = Math.min(...tripTimes);
+    components.fairness = longest > 0 ? shortest / longest : 1;
+  }
+
+  return components;
+}
+
+// Score and sort places, best first
+// center is the point that was searched around, participants the people meeting there (may be empty),
+// each with the mode they travel by - driving if not given
+// Adds score, distance_from_midpoint and participant_distances (meters, in participant order) to each place.
+// Places without a location keep their order at the end, unscored.
+export function rankPlaces(places, { center, participants = [], radius, weights = DEFAULT_RANKING_WEIGHTS }) {
+  const ranked = places.map((place, index) => {
+    const location = place.geometry && place.geometry.location;
+    if (!location) {
+      return { place, index, score: null };
+    }
+
+    const distanceFromCenter = distanceMeters(center, location);
+    const participantDistances = participants.map(participant => distanceMeters(participant, location));
+    const tripTimes = participants.map((participant, i) => estimateTripTime(participantDistances[i], participant.mode));
+    const components = scoreComponents(place, distanceFromCenter, tripTimes, radius);
+
+    // Fairness is left out of the weighting when there's nobody to be fair between
+    const used = Object.keys(components).filter(name => weights[name] > 0);
+    const totalWeight = used.reduce((sum, name) => sum + weights[name], 0);
+    const score = totalWeight > 0
+      ? used.reduce((sum, name) => sum + weights[name] * components[name], 0) / totalWeight
+      : 0;
+
+    return {
+      place: {
+        ...place,
+        score: round(score, 3),
+        distance_from_midpoint: Math.round(distanceFromCenter),
+        participant_distances: participantDistances.map(Math.round)
+      },
+      index,
+      score
+    };
+  });
+
+  // Highest score first, ties keep the provider's order
+  ranked.sort((a, b) => {
+    if (a.score === null || b.score === null) {
+      return (a.score === null) - (b.score === null) || a.index - b.index;
+    }
+    return b.score - a.score || a.index - b.index;
+  });
+
+  return ranked.map(({ place }) => place);
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { rankPlaces } from './ranking.js';
+import { destinationPoint } from '../shared/geometry.js';
+
+const CENTER = { lat: 38.6, lng: -121.4 };
+const RADIUS = 5000;
+
+const place = (name, location, extra = {}) => ({ name, geometry: { location }, rating: 4, user_ratings_total: 100, ...extra });
+
+describe('rankPlaces', () => {
+  it('ranks by rating, popularity and distance when there are no participants', () => {
+    const ranked = rankPlaces([
+      place('far', destinationPoint(CENTER, 0, 4000)),
+      place('near', destinationPoint(CENTER, 0, 500)),
+      place('nowhere', null)
+    ], { center: CENTER, radius: RADIUS });
+
+    expect(ranked.map(result => result.name)).toEqual(['near', 'far', 'nowhere']);
+    expect(ranked[2].score).toBeUndefined();
+  });
+
+  it('scores fairness by travel time, not distance', () => {
+    // The walker and the driver start 2km and 8km east and west of the center
+    const walker = { ...destinationPoint(CENTER, 90, 2000), mode: 'walking' };
+    const driver = { ...destinationPoint(CENTER, 270, 8000), mode: 'driving' };
+    const places = [
+      place('halfway', CENTER),
+      place('nearer the walker', destinationPoint(CENTER, 90, 900))
+    ];
+
+    const byDistance = rankPlaces(places, { center: CENTER, participants: [walker, { ...driver, mode: 'walking' }], radius: RADIUS });
+    const byTime = rankPlaces(places, { center: CENTER, participants: [walker, driver], radius: RADIUS });
+
+    expect(byDistance[0].name).toBe('halfway');
+    expect(byTime[0].name).toBe('nearer the walker');
+    expect(byTime.find(result => result.name === 'halfway').participant_distances).toEqual([2000, 8000]);
+  });
+
+  it('treats participants without a mode as driving', () => {
+    const participants = [destinationPoint(CENTER, 90, 2000), destinationPoint(CENTER, 270, 3000)];
+    const places = [place('a', CENTER), place('b', destinationPoint(CENTER, 90, 500))];
+
+    expect(rankPlaces(places, { center: CENTER, participants, radius: RADIUS }))
+      .toEqual(rankPlaces(places, { center: CENTER, participants: participants.map(p => ({ ...p, mode: 'driving' })), radius: RADIUS }));
+  });
+});
@@ -0,0 +1,122 @@
+// resilience.js - Retry and circuit breaker policies for upstream API calls
+// Transient failures (quota blips, Google's UNKNOWN_ERROR, timeouts, 5xx) are retried with jittered
+// exponential backoff. A circuit breaker per upstream service stops calling it for a while once
+// calls keep failing, so an outage fails fast instead of tying up every request.
+import { createApiError, ERROR_CODES } from './errors.js';
+
+// Upstream statuses that usually succeed if asked again
+export const TRANSIENT_STATUSES = ['OVER_QUERY_LIMIT', 'UNKNOWN_ERROR'];
+
+export const CIRCUIT_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+// An error for a non-OK upstream status, keeping the status for the retry and breaker policies
+export function upstreamStatusError(data) {
+  const error = new Error(`Maps API error: ${data.status}`);
+  error.upstreamStatus = data.status;
+  return error;
+}
+
+// Whether a failed call is worth retrying
+// Thrown errors are HTTP errors (error.response), or timeouts and network errors (no response)
+export function isTransientError(error) {
+  if (error.upstreamStatus) return TRANSIENT_STATUSES.includes(error.upstreamStatus);
+  if (error.response) return error.response.status === 429 || error.response.status >= 500;
+  return Boolean(error.request);
+}
+
+// Run task, retrying transient failures with "full jitter" backoff - a random delay up to
+// baseDelay * 2^attempt - so clients that failed together don't retry together
+export async function retryWithBackoff(task, { retries = 2, baseDelay = 250, maxDelay = 4000, isRetryable = isTransientError, onRetry }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+
+      const delay = Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+      if (onRetry) onRetry(error, attempt + 1, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Opens after failureThreshold failures in a row, then after resetTimeout lets one trial call
+// through (half-open) - success closes it again, failure re-opens it
+export function createCircuitBreaker({ name, failureThreshold = 5, resetTimeout = 30000, isFailure = isTransientError }) {
+  let state = CIRCUIT_STATE.CLOSED;
+  let failures = 0;
+  let openedAt = null;
+  let lastError = null;
+  let trialInFlight = false;
+
+  function open() {
+    state = CIRCUIT_STATE.OPEN;
+    openedAt = Date.now();
+    trialInFlight = false;
+    console.error(`Circuit breaker for ${name} opened after ${failures} failures: ${lastError}`);
+  }
+
+  function unavailable() {
+    return createApiError(
+      ERROR_CODES.UPSTREAM_UNAVAILABLE,
+      `The ${name} service is temporarily unavailable, please try again shortly`,
+      Math.max(1, Math.ceil((openedAt + resetTimeout - Date.now()) / 1000))
+    );
+  }
+
+  // Throws while the circuit is open, or while a half-open trial call is already in flight
+  function enter() {
+    if (state === CIRCUIT_STATE.OPEN) {
+      if (Date.now() - openedAt < resetTimeout) throw unavailable();
+      state = CIRCUIT_STATE.HALF_OPEN;
+      console.log(`Circuit breaker for ${name} half-open, trying a request`);
+    }
+
+    if (state === CIRCUIT_STATE.HALF_OPEN) {
+      if (trialInFlight) throw unavailable();
+      trialInFlight = true;
+    }
+  }
+
+  return {
+    // Run task through the breaker - errors that aren't failures (bad requests, our own
+    // queue being full) neither count against the service nor close the circuit
+    async call(task) {
+      enter();
+
+      try {
+        const result = await task();
+        if (state !== CIRCUIT_STATE.CLOSED) {
+          console.log(`Circuit breaker for ${name} closed`);
+        }
+        state = CIRCUIT_STATE.CLOSED;
+        failures = 0;
+        trialInFlight = false;
+        return result;
+      } catch (error) {
+        if (isFailure(error)) {
+          failures++;
+          lastError = error.message;
+          if (state === CIRCUIT_STATE.HALF_OPEN || failures >= failureThreshold) {
+            open();
+          }
+        }
+        trialInFlight = false;
+        throw error;
+      }
+    },
+
+    status() {
+      return {
+        state,
+        failures,
+        openedAt: openedAt && state !== CIRCUIT_STATE.CLOSED ? new Date(openedAt).toISOString() : null,
+        lastError: state !== CIRCUIT_STATE.CLOSED ? lastError : null
+      };
+    }
+  };
+}
@@ -0,0 +1,120 @@
+// scheduler.js - Token-bucket scheduler for upstream API calls
+// Each upstream service has a bucket of tokens that refills at a steady rate. A call takes a token
+// straight away if one is free, otherwise it waits in a priority queue until one is.
+// Calls are only turned away when the queue is full - too many waiting, or too long a wait -
+// or when one is still waiting after maxWait, as higher priority calls keep going ahead of it.
+import { createApiError, ERROR_CODES } from './errors.js';
+
+// Lower runs first - interactive searches jump ahead of batch lookups and background refreshes
+export const PRIORITY = {
+  INTERACTIVE: 0,
+  BATCH: 1,
+  BACKGROUND: 2
+};
+
+// services: { name: { rate (tokens per second), burst (bucket size) } }
+export function createScheduler({ services, maxQueue = 100, maxWait = 5000 }) {
+  const buckets = Object.fromEntries(Object.entries(services).map(([name, { rate, burst }]) => [name, {
+    rate,
+    burst,
+    tokens: burst,
+    updatedAt: Date.now(),
+    queue: [],
+    timer: null
+  }]));
+
+  function refill(bucket) {
+    const now = Date.now();
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.rate);
+    bucket.updatedAt = now;
+  }
+
+  // Start queued jobs while there are tokens, then wake up when the next token is due
+  function drain(bucket) {
+    refill(bucket);
+    while (bucket.queue.length > 0 && bucket.tokens >= 1) {
+      bucket.tokens--;
+      bucket.queue.shift().start();
+    }
+
+    if (bucket.queue.length > 0 && !bucket.timer) {
+      const delay = Math.ceil(((1 - bucket.tokens) / bucket.rate) * 1000);
+      bucket.timer = setTimeout(() => {
+        bucket.timer = null;
+        drain(bucket);
+      }, delay);
+    }
+  }
+
+  // How long a new job would wait in ms - only jobs of the same or higher priority are ahead of it
+  function estimateWait(bucket, priority) {
+    const ahead = bucket.queue.filter(job => job.priority <= priority).length;
+    return Math.max(0, ((ahead + 1 - bucket.tokens) / bucket.rate) * 1000);
+  }
+
+  // Seconds until there's room in the queue again
+  function retryAfter(bucket, wait) {
+    const overflow = Math.max(wait - maxWait, ((bucket.queue.length - maxQueue + 1) / bucket.rate) * 1000);
+    return Math.max(1, Math.ceil(overflow / 1000));
+  }
+
+  return {
+    // Run task once the service has capacity, resolving or rejecting with its result
+    // Rejects with a RATE_LIMITED error carrying retryAfter (seconds) when the queue is full,
+    // or when the task hasn't started within maxWait
+    schedule(service, task, priority = PRIORITY.INTERACTIVE) {
+      const bucket = buckets[service];
+      if (!bucket) {
+        return Promise.reject(new Error(`Unknown upstream service "${service}"`));
+      }
+
+      refill(bucket);
+      const wait = estimateWait(bucket, priority);
+      if (bucket.queue.length >= maxQueue || wait > maxWait) {
+        const error = createApiError(
+          ERROR_CODES.RATE_LIMITED,
+          'Too many requests queued, please try again in a moment',
+          retryAfter(bucket, wait)
+        );
+        console.log(`Scheduler queue for ${service} is full (${bucket.queue.length} waiting, ~${Math.round(wait)}ms wait)`);
+        return Promise.reject(error);
+      }
+
+      return new Promise((resolve, reject) => {
+        const job = {
+          priority,
+          start: () => {
+            clearTimeout(job.deadline);
+            Promise.resolve().then(task).then(resolve, reject);
+          }
+        };
+
+        // Give up on a job still waiting at its deadline
+        job.deadline = setTimeout(() => {
+          const index = bucket.queue.indexOf(job);
+          if (index === -1) return;
+          bucket.queue.splice(index, 1);
+          console.log(`Scheduler gave up on a queued ${service} call after ${maxWait}ms`);
+          reject(createApiError(
+            ERROR_CODES.RATE_LIMITED,
+            'Waited too long for the map service, please try again in a moment',
+            Math.max(1, Math.ceil(estimateWait(bucket, priority) / 1000))
+          ));
+        }, maxWait);
+
+        // Keep the queue sorted by priority, first come first served within a priority
+        const index = bucket.queue.findIndex(queued => queued.priority > priority);
+        bucket.queue.splice(index === -1 ? bucket.queue.length : index, 0, job);
+        drain(bucket);
+      });
+    },
+
+    // Queue length and free tokens per service
+    stats() {
+      return Object.fromEntries(Object.entries(buckets).map(([name, bucket]) => {
+        refill(bucket);
+        return [name, { queued: bucket.queue.length, tokens: Math.floor(bucket.tokens) }];
+      }));
+    }
+  };
+}
@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createScheduler, PRIORITY } from './scheduler.js';
+import { toApiError } from './errors.js';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+// One call a second, no burst beyond the first
+const oneASecond = (options = {}) => createScheduler({ services: { places: { rate: 1, burst: 1 } }, ...options });
+
+describe('createScheduler', () => {
+  it('runs queued calls by priority, first come first served within one', async () => {
+    const scheduler = oneASecond();
+    const order = [];
+    const run = (name, priority) => scheduler.schedule('places', async () => order.push(name), priority);
+
+    const calls = [
+      run('first', PRIORITY.INTERACTIVE),
+      run('refresh', PRIORITY.BACKGROUND),
+      run('batch', PRIORITY.BATCH),
+      run('search', PRIORITY.INTERACTIVE),
+      run('another search', PRIORITY.INTERACTIVE)
+    ];
+    await vi.advanceTimersByTimeAsync(4000);
+    await Promise.all(calls);
+
+    expect(order).toEqual(['first', 'search', 'another search', 'batch', 'refresh']);
+  });
+
+  it('turns calls away when the queue is full', async () => {
+    const scheduler = oneASecond({ maxQueue: 2, maxWait: 60000 });
+    const task = async () => 'done';
+    const accepted = [scheduler.schedule('places', task), scheduler.schedule('places', task), scheduler.schedule('places', task)];
+
+    const error = await scheduler.schedule('places', task).catch(rejection => rejection);
+    expect(toApiError(error).code).toBe('RATE_LIMITED');
+    expect(error.retryAfter).toBeGreaterThanOrEqual(1);
+
+    await vi.advanceTimersByTimeAsync(3000);
+    expect(await Promise.all(accepted)).toEqual(['done', 'done', 'done']);
+  });
+
+  it('turns calls away when the expected wait is too long', async () => {
+    const scheduler = oneASecond({ maxWait: 1500 });
+    const task = async () => 'done';
+    const accepted = [scheduler.schedule('places', task), scheduler.schedule('places', task)];
+
+    const error = await scheduler.schedule('places', task).catch(rejection => rejection);
+    expect(toApiError(error).code).toBe('RATE_LIMITED');
+
+    await vi.advanceTimersByTimeAsync(2000);
+    await Promise.all(accepted);
+  });
+
+  it('gives up on a call still waiting at its deadline', async () => {
+    const scheduler = oneASecond({ maxWait: 3000 });
+    const task = async () => 'done';
+    const searches = [scheduler.schedule('places', task)];
+    const refresh = scheduler.schedule('places', task, PRIORITY.BACKGROUND).catch(rejection => rejection);
+
+    // A steady stream of searches keeps going ahead of the refresh
+    for (let second = 0; second < 4; second++) {
+      searches.push(scheduler.schedule('places', task));
+      await vi.advanceTimersByTimeAsync(1000);
+    }
+
+    const error = await refresh;
+    expect(error).toBeInstanceOf(Error);
+    expect(toApiError(error).code).toBe('RATE_LIMITED');
+    expect(scheduler.stats().places.queued).toBe(0);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(await Promise.all(searches)).toEqual(Array(5).fill('done'));
+  });
+});
@@ -8,7 +8,22 @@ import dotenv from 'dotenv';
 import compression from 'compression';
 import helmet from 'helmet';
 import { Agent } from 'https';
+import crypto from 'crypto';
 import rateLimit from 'express-rate-limit'; // Add rate limiting package
+import { createMatrixProvider, buildMatrixCacheKey, matrixChunkSize, MATRIX_LIMITS, MATRIX_BATCH_LIMITS, TRAVEL_MODES } from './distanceMatrix.js';
+import { createDirectionsProvider, buildDirectionsCacheKey, DIRECTIONS_LIMITS } from './directions.js';
+import { findFairMeetpoint } from './fairMeetpoint.js';
+import { isMidpointStrategy, DEFAULT_MIDPOINT_STRATEGY } from '../shared/geometry.js';
+import { createProvider } from './providers/index.js';
+import { createCacheBackend } from './cache/index.js';
+import { createCacheLayer, CACHE_STATE } from './cache/layer.js';
+import { createQuotaTracker, parseApiKeys, DEFAULT_QUOTA_TIERS } from './quota.js';
+import { createScheduler, PRIORITY } from './scheduler.js';
+import { createCircuitBreaker, retryWithBackoff, isTransientError, upstreamStatusError, CIRCUIT_STATE } from './resilience.js';
+import { createApiError, sendError, toApiError, ERROR_CODES } from './errors.js';
+import { parsePlaceFilters, upstreamFilters, filtersCacheKey, filterPlaces } from './placeFilters.js';
+import { rankPlaces, validateWeights, DEFAULT_RANKING_WEIGHTS } from './ranking.js';
+import { createMeetupStore } from './meetups.js';
 
 // Initialize environment variables
 dotenv.config();
@@ -35,117 +50,177 @@ const api = axios.create({
   httpsAgent: new Agent({ keepAlive: true })
 });
 
-// Cache storage with maps for different API services
-const cache = {
-  geocoding: new Map(),
-  places: new Map(),
-  details: new Map()
-};
+// Maps data provider - google (default), osm for self-hosted Nominatim/Overpass, or fixture for offline use
+const MAPS_PROVIDER = process.env.MAPS_PROVIDER || 'google';
+const provider = createProvider(MAPS_PROVIDER, {
+  google: { httpClient: api, apiKey: process.env.GOOGLE_MAPS_API_KEY },
+  osm: {
+    httpClient: api,
+    nominatimUrl: process.env.OSM_NOMINATIM_URL || 'http://localhost:8080',
+    overpassUrl: process.env.OSM_OVERPASS_URL || 'http://localhost:12345/api/interpreter',
+    userAgent: process.env.OSM_USER_AGENT || 'Rendezvous/1.0'
+  }
+});
+
+// Distance matrix provider - set DISTANCE_MATRIX_PROVIDER=fake to work offline
+// The fixture maps provider implies the fake matrix so the whole stack runs offline
+const matrixProvider = createMatrixProvider(
+  process.env.DISTANCE_MATRIX_PROVIDER || (MAPS_PROVIDER === 'fixture' ? 'fake' : 'google'),
+  api,
+  process.env.GOOGLE_MAPS_API_KEY
+);
+
+// Directions provider - DIRECTIONS_PROVIDER=fake works offline, and is implied by the fixture provider too
+const directionsProvider = createDirectionsProvider(
+  process.env.DIRECTIONS_PROVIDER || (MAPS_PROVIDER === 'fixture' ? 'fake' : 'google'),
+  api,
+  process.env.GOOGLE_MAPS_API_KEY
+);
 
 // Cache expiry times (milliseconds)
 const CACHE_EXPIRY = {
   geocoding: 30 * 60 * 1000,  // 30 minutes
   places: 15 * 60 * 1000,     // 15 minutes
-  details: 60 * 60 * 1000     // 60 minutes
+  details: 60 * 60 * 1000,    // 60 minutes
+  matrix: 30 * 60 * 1000,     // 30 minutes
+  autocomplete: 60 * 60 * 1000, // 60 minutes
+  reverseGeocoding: 60 * 60 * 1000, // 60 minutes
+  directions: 30 * 60 * 1000  // 30 minutes
 };
 
 // Memory management - cache size limits
 const CACHE_LIMITS = {
   geocoding: 1000,
   places: 500,
-  details: 500
+  details: 500,
+  matrix: 200,
+  autocomplete: 1000,
+  reverseGeocoding: 500,
+  directions: 200
 };
 
+// How long expired entries may still be served while they're refreshed in the background
+const CACHE_STALE_GRACE = parseInt(process.env.CACHE_STALE_GRACE_MS) || 60 * 60 * 1000; // 60 minutes
+
+// ZERO_RESULTS responses are cached for less time than real results
+const NEGATIVE_CACHE_EXPIRY = parseInt(process.env.CACHE_NEGATIVE_EXPIRY_MS) || 5 * 60 * 1000; // 5 minutes
+
+// Backends keep entries through the stale grace window
+const CACHE_RETENTION = Object.fromEntries(
+  Object.entries(CACHE_EXPIRY).map(([type, expiry]) => [type, expiry + CACHE_STALE_GRACE])
+);
+
+// Cache storage for the different API services - memory (default), file (JSONL on disk) or redis
+// Persistent backends are namespaced by provider so fixture or OSM data never answers Google lookups
+const cacheBackend = await createCacheBackend(process.env.CACHE_BACKEND, {
+  types: Object.keys(CACHE_EXPIRY),
+  expiry: CACHE_RETENTION,
+  filePath: process.env.CACHE_FILE || path.join(process.cwd(), '.cache', `${provider.name}-cache.jsonl`),
+  url: process.env.REDIS_URL || 'redis://localhost:6379',
+  prefix: `rendezvous:${provider.name}`
+});
+
+// Saved meetups, kept in a JSON file - MEETUPS_FILE sets where
+const meetupStore = createMeetupStore({
+  filePath: process.env.MEETUPS_FILE || path.join(process.cwd(), 'data', 'meetups.json')
+});
+
+// Cache policy - LRU eviction, stale-while-revalidate, negative caching and hit/miss metrics
+const cacheLayer = createCacheLayer({
+  backend: cacheBackend,
+  types: Object.keys(CACHE_EXPIRY),
+  expiry: CACHE_EXPIRY,
+  negativeExpiry: NEGATIVE_CACHE_EXPIRY,
+  staleGrace: CACHE_STALE_GRACE,
+  limits: CACHE_LIMITS
+});
+
+// Upstream requests currently in flight, keyed by type and cache key, so concurrent callers share one
+const inFlight = new Map();
+
 // Request tracking
 const requestStats = {
   total: 0,
   geocoding: 0,
   places: 0,
   details: 0,
-  limit: 50,  // Maximum requests per session
+  matrix: 0,
+  autocomplete: 0,
+  reverseGeocoding: 0,
+  directions: 0,
+  coalesced: 0,  // Calls that shared an identical in-flight request instead of making their own
+  retries: 0,    // Upstream calls repeated after a transient failure
   lastReset: Date.now()
 };
 
-// Rate limiting helper - adjusted for less strict limits
-const rateLimiter = {
-  lastGeocodeRequest: 0,
-  lastPlacesRequest: 0,
-  lastDetailsRequest: 0,
-  minInterval: 100, // 0.1 seconds between requests - reduced for better performance
-  
-  canMakeRequest(type) {
-    const now = Date.now();
-    let lastRequest;
-    
-    switch(type) {
-      case 'geocoding':
-        lastRequest = this.lastGeocodeRequest;
-        this.lastGeocodeRequest = now;
-        break;
-      case 'places':
-        lastRequest = this.lastPlacesRequest;
-        this.lastPlacesRequest = now;
-        break;
-      case 'details':
-        lastRequest = this.lastDetailsRequest;
-        this.lastDetailsRequest = now;
-        break;
-      default:
-        return false;
-    }
-    
-    // Check if enough time has passed since the last request
-    if (now - lastRequest < this.minInterval) {
-      console.log(`Rate limit check failed for ${type}. Only ${now - lastRequest}ms since last request.`);
-      return false;
-    }
-    
-    return true;
-  }
+// Per-client quotas - QUOTA_TIERS (JSON) overrides the default budgets, QUOTA_API_KEYS maps keys to tiers
+const QUOTA_TIERS = { ...DEFAULT_QUOTA_TIERS, ...(process.env.QUOTA_TIERS ? JSON.parse(process.env.QUOTA_TIERS) : {}) };
+const quota = createQuotaTracker({
+  tiers: QUOTA_TIERS,
+  apiKeys: parseApiKeys(process.env.QUOTA_API_KEYS, QUOTA_TIERS),
+  identifyBy: process.env.QUOTA_IDENTIFY_BY || 'ip',
+  sessionSecret: process.env.SESSION_SECRET,
+  secureCookies: process.env.NODE_ENV === 'production'
+});
+
+// Upstream request scheduling - each service gets a token bucket refilling at `rate` calls per second
+// Calls beyond the bucket queue up rather than fail, and are only rejected when the queue is full
+const UPSTREAM_RATES = {
+  geocoding: { rate: 10, burst: 5 },
+  places: { rate: 10, burst: 5 },
+  details: { rate: 10, burst: 5 },
+  matrix: { rate: 5, burst: 2 },
+  // Suggestions are requested while people type, so they get more headroom
+  autocomplete: { rate: 20, burst: 10 },
+  reverseGeocoding: { rate: 10, burst: 5 },
+  directions: { rate: 5, burst: 2 }
 };
 
+const scheduler = createScheduler({
+  services: UPSTREAM_RATES,
+  maxQueue: parseInt(process.env.SCHEDULER_MAX_QUEUE) || 100,
+  maxWait: parseInt(process.env.SCHEDULER_MAX_WAIT_MS) || 5000
+});
+
+// Transient upstream failures are retried a couple of times with jittered backoff
+const RETRY_POLICY = {
+  retries: parseInt(process.env.UPSTREAM_RETRIES) || 2,
+  baseDelay: 250,
+  maxDelay: 4000
+};
+
+// One circuit breaker per upstream service - a rejected API key counts as a failure too,
+// since every call will keep failing until it's fixed
+const breakers = Object.fromEntries(Object.keys(UPSTREAM_RATES).map(service => [service, createCircuitBreaker({
+  name: service,
+  failureThreshold: parseInt(process.env.BREAKER_FAILURE_THRESHOLD) || 5,
+  resetTimeout: parseInt(process.env.BREAKER_RESET_TIMEOUT_MS) || 30000,
+  isFailure: error => isTransientError(error) || error.upstreamStatus === 'REQUEST_DENIED'
+})]));
+
+// How nearby results are ranked - RANKING_WEIGHTS (JSON) overrides some or all of the default weights
+const RANKING_WEIGHTS = validateWeights({
+  ...DEFAULT_RANKING_WEIGHTS,
+  ...(process.env.RANKING_WEIGHTS ? JSON.parse(process.env.RANKING_WEIGHTS) : {})
+});
+
 // Session management - automatic reset after 24 hours
 function checkSessionReset() {
   // Reset stats after 24 hours
   if (Date.now() - requestStats.lastReset > 24 * 60 * 60 * 1000) {
     console.log('Resetting session stats (24-hour period elapsed)');
     Object.keys(requestStats).forEach(key => {
-      if (typeof requestStats[key] === 'number' && key !== 'limit') {
+      if (typeof requestStats[key] === 'number') {
         requestStats[key] = 0;
       }
     });
     
-    // Clear all caches on session reset for clean state
-    cache.geocoding.clear();
-    cache.places.clear();
-    cache.details.clear();
+    // Caches are left alone - entries expire per type, and persistent backends keep them across resets
     
     requestStats.lastReset = Date.now();
   }
 }
 
-// Cache management - check cache size and purge oldest items if needed
-function manageCacheSize(type) {
-  const cacheMap = cache[type];
-  const limit = CACHE_LIMITS[type];
-  
-  if (cacheMap.size > limit) {
-    console.log(`Cache ${type} exceeded limit (${cacheMap.size}/${limit}), purging oldest items`);
-    
-    // Convert to array of [key, {data, timestamp}] pairs and sort by timestamp
-    const entries = Array.from(cacheMap.entries())
-      .sort((a, b) => a[1].timestamp - b[1].timestamp);
-    
-    // Remove oldest 20% of entries
-    const removeCount = Math.floor(entries.length * 0.2);
-    for (let i = 0; i < removeCount; i++) {
-      cacheMap.delete(entries[i][0]);
-    }
-    
-    console.log(`Removed ${removeCount} items from ${type} cache`);
-  }
-}
-
 // Configure stronger CSP
 const cspConfig = {
   directives: {
@@ -160,13 +235,34 @@ const cspConfig = {
   }
 };
 
+// Answer rate limited requests like any other error, with a code and how long to wait
+function rateLimitHandler(windowMs) {
+  return (req, res) => {
+    const { resetTime } = req.rateLimit;
+    const retryAfter = resetTime ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000)) : windowMs / 1000;
+    sendError(res, createApiError(ERROR_CODES.RATE_LIMITED, 'Too many requests from this IP, please try again later.', retryAfter));
+  };
+}
+
 // Express rate limiter middleware
+const API_RATE_WINDOW = 15 * 60 * 1000; // 15 minutes
 const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
+  windowMs: API_RATE_WINDOW,
   max: 100, // Limit each IP to 100 requests per windowMs
   standardHeaders: true,
   legacyHeaders: false,
-  message: 'Too many requests from this IP, please try again later.'
+  // Autocomplete has a limiter of its own - typing makes many small requests
+  skip: (req) => req.path === '/places/autocomplete',
+  handler: rateLimitHandler(API_RATE_WINDOW)
+});
+
+// Suggestions while typing - generous, as each address typed can take a dozen requests
+const autocompleteLimiter = rateLimit({
+  windowMs: API_RATE_WINDOW,
+  max: 600,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: rateLimitHandler(API_RATE_WINDOW)
 });
 
 // Middleware - security and performance
@@ -180,8 +276,10 @@ app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
     ? [process.env.FRONTEND_URL || 'https://yourdomain.com'] // Restrict in production
     : '*', // Allow all in development
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  // Let the frontend read its remaining quota
+  exposedHeaders: ['X-Quota-Tier', 'X-Quota-Limit-Day', 'X-Quota-Remaining-Day', 'X-Quota-Limit-Month', 'X-Quota-Remaining-Month'],
   credentials: true
 }));
 
@@ -190,6 +288,9 @@ app.use(express.json({ limit: '1mb' })); // Limit request body size
 // Apply rate limiting to API routes
 app.use(API_BASE_PATH, apiLimiter);
 
+// Identify the client for quota accounting and report its remaining quota in response headers
+app.use(API_BASE_PATH, quota.middleware());
+
 // Debug middleware to log all requests - only in development
 if (process.env.NODE_ENV !== 'production') {
   app.use((req, res, next) => {
@@ -210,66 +311,126 @@ app.use((req, res, next) => {
 });
 
 // Helper to handle API requests with caching
-async function handleCachedRequest(type, cacheKey, apiUrl) {
+// fetchData is an async function (usually a provider call) resolving to a normalized response
+// client is the requester from the quota middleware - upstream calls are charged to it, once for
+// all the calls sharing a chargeGroup if one is given (see quota.claim)
+// priority decides the upstream queue order (see scheduler.js)
+async function handleCachedRequest(type, cacheKey, fetchData, { client, priority = PRIORITY.INTERACTIVE, chargeGroup }) {
   // Check cache
-  const cachedItem = cache[type].get(cacheKey);
-  if (cachedItem && (Date.now() - cachedItem.timestamp < CACHE_EXPIRY[type])) {
-    // Update access time to implement LRU behavior
-    cachedItem.lastAccessed = Date.now();
+  const cached = await cacheLayer.lookup(type, cacheKey);
+  if (cached.state === CACHE_STATE.FRESH) {
     console.log(`Using cached ${type} data for ${cacheKey}`);
-    return cachedItem.data;
+    return cached.data;
   }
   
-  // Check limits
-  if (requestStats.total >= requestStats.limit) {
-    throw new Error('Request limit reached');
+  // Serve expired data straight away and refresh it in the background
+  if (cached.state === CACHE_STATE.STALE) {
+    console.log(`Using stale ${type} data for ${cacheKey} while revalidating`);
+    revalidate(type, cacheKey, fetchData, client, chargeGroup);
+    return cached.data;
   }
   
-  // Rate limiting - with detailed logging
-  if (!rateLimiter.canMakeRequest(type)) {
-    throw new Error('Rate limit reached, please try again in a moment');
+  return fetchShared(type, cacheKey, fetchData, client, priority, chargeGroup);
+}
+
+// Fetch and cache, joining an identical request that's already in flight instead of making another
+// Only the caller that starts the request is charged for it - joining is free, but still needs
+// quota left unless it's part of a charge group
+function fetchShared(type, cacheKey, fetchData, client, priority, chargeGroup) {
+  const inFlightKey = `${type}:${cacheKey}`;
+  const pending = inFlight.get(inFlightKey);
+  if (pending) {
+    if (!chargeGroup) quota.check(client);
+    requestStats.coalesced++;
+    console.log(`Joining in-flight ${type} request for ${cacheKey}`);
+    return pending;
   }
   
-  // Make request
-  try {
-    console.log(`Making ${type} API request to Google Maps: ${apiUrl.replace(/key=[^&]+/, 'key=REDACTED')}`);
-    
-    // Use our configured axios instance
-    const response = await api.get(apiUrl);
+  const request = fetchAndCache(type, cacheKey, fetchData, client, priority, chargeGroup)
+    .finally(() => inFlight.delete(inFlightKey));
+  inFlight.set(inFlightKey, request);
+  return request;
+}
+
+// Refresh a stale entry without holding up the request that found it
+// Failures (including quota and rate limits) just leave the stale entry in place
+function revalidate(type, cacheKey, fetchData, client, chargeGroup) {
+  if (inFlight.has(`${type}:${cacheKey}`)) return;
+  
+  fetchShared(type, cacheKey, fetchData, client, PRIORITY.BACKGROUND, chargeGroup)
+    .catch(error => console.error(`Background refresh of ${type} data for ${cacheKey} failed:`, error.message));
+}
+
+// Fetch from upstream and cache the result, subject to request limits
+async function fetchAndCache(type, cacheKey, fetchData, client, priority, chargeGroup) {
+  // Only the first upstream call of a charge group is charged - it's decided here, once the
+  // cache has missed, so calls answered from the cache don't use up the group's charge
+  const charging = !chargeGroup || quota.claim(client, chargeGroup);
+  const uncharged = () => {
+    if (charging && chargeGroup) quota.release(client, chargeGroup);
+  };
+  
+  // Check the client's daily and monthly quota
+  if (charging) {
+    try {
+      quota.check(client);
+    } catch (error) {
+      uncharged();
+      throw error;
+    }
+  }
+  
+  // One upstream call, made once the service has capacity
+  // Non-OK statuses are thrown so the retry policy and circuit breaker see them
+  const attempt = async () => {
+    const data = await scheduler.schedule(type, fetchData, priority);
     
-    // Log Google API response status
-    console.log(`Google API response status: ${response.data.status}`);
+    // Log upstream response status
+    console.log(`${type} response status: ${data.status}`);
     
     // Update stats
     requestStats.total++;
     requestStats[type]++;
     
-    // Handle Google API errors
-    if (response.data.status !== 'OK' && response.data.status !== 'ZERO_RESULTS') {
-      console.error(`Google Maps API error: ${response.data.status}`);
-      if (response.data.error_message) {
-        console.error(`Error message: ${response.data.error_message}`);
+    // Handle upstream API errors
+    if (data.status !== 'OK' && data.status !== 'ZERO_RESULTS') {
+      console.error(`Maps API error: ${data.status}`);
+      if (data.error_message) {
+        console.error(`Error message: ${data.error_message}`);
       }
-      throw new Error(`Google Maps API error: ${response.data.status}`);
+      throw upstreamStatusError(data);
     }
     
-    // Cache and return successful response
-    if (response.data.status === 'OK' || response.data.status === 'ZERO_RESULTS') {
-      // Store in cache with current timestamp
-      cache[type].set(cacheKey, {
-        data: response.data,
-        timestamp: Date.now(),
-        lastAccessed: Date.now()
-      });
-      
-      // Check and manage cache size
-      manageCacheSize(type);
-    }
+    return data;
+  };
+  
+  // Make request, retrying transient failures, unless the service's circuit is open
+  try {
+    const data = await breakers[type].call(() => retryWithBackoff(attempt, {
+      ...RETRY_POLICY,
+      onRetry: (error, retry, delay) => {
+        requestStats.retries++;
+        console.log(`Retrying ${type} request for ${cacheKey} in ${delay}ms (retry ${retry}): ${error.message}`);
+      }
+    }));
+    
+    // Charge the client once, however many attempts it took
+    if (charging) quota.charge(client);
     
-    return response.data;
+    // Store in cache - ZERO_RESULTS is kept for a shorter time, and the least recently used entries are evicted
+    await cacheLayer.store(type, cacheKey, data);
+    
+    return data;
   } catch (error) {
     console.error(`Error in ${type} request:`, error.message);
     
+    // The upstream answered, just not with results - that still counts against the client
+    if (error.upstreamStatus && charging) {
+      quota.charge(client);
+    } else {
+      uncharged();
+    }
+    
     // More detailed error logging
     if (error.response) {
       // The request was made and the server responded with a status code
@@ -301,6 +462,133 @@ function validateCoordinates(lat, lng) {
   return true;
 }
 
+// Parse participant locations passed as "lat,lng|lat,lng"
+// Returns null if any location is invalid or there are too many
+function parseParticipantLocations(value) {
+  if (!value) return [];
+  if (typeof value !== 'string') return null;
+  
+  const locations = value.split('|').map(pair => pair.split(','));
+  if (locations.length > MATRIX_LIMITS.maxOrigins) return null;
+  if (!locations.every(pair => pair.length === 2 && validateCoordinates(pair[0], pair[1]))) return null;
+  
+  return locations.map(([lat, lng]) => ({ lat: parseFloat(lat), lng: parseFloat(lng) }));
+}
+
+// Each participant's travel mode - their own if given, otherwise the request's
+// Returns null if any mode isn't one of TRAVEL_MODES
+function getParticipantModes(participants, defaultMode) {
+  const modes = participants.map(participant => participant.mode || defaultMode);
+  return modes.every(mode => TRAVEL_MODES.includes(mode)) ? modes : null;
+}
+
+const INVALID_TRAVEL_MODE = `Travel mode must be one of: ${TRAVEL_MODES.join(', ')}`;
+const INVALID_DEPARTURE_TIME = 'departureTime must be a whole number of seconds since the epoch';
+
+// Parse an optional departure time in seconds since the epoch - undefined means leaving now
+// A time that's already passed also means leaving now, as Google rejects those. Returns null if invalid
+function parseDepartureTime(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const seconds = Number(value);
+  if (!Number.isInteger(seconds) || seconds < 0) return null;
+  return seconds > Date.now() / 1000 ? seconds : undefined;
+}
+
+// Geocoding components Google accepts, e.g. "country:US|postal_code:95814"
+const GEOCODE_COMPONENTS = ['route', 'locality', 'administrative_area', 'postal_code', 'country'];
+const INVALID_GEOCODE_BIAS = `Invalid region or components - region is a two-letter country code, components list ${GEOCODE_COMPONENTS.join(', ')} as name:value separated by |`;
+
+// Parse the optional region (a two-letter ccTLD) and components that bias geocoding
+// Returns null if either is invalid
+function parseGeocodeBias({ region, components }) {
+  const bias = {};
+  
+  if (region !== undefined && region !== '') {
+    if (typeof region !== 'string' || !/^[a-zA-Z]{2}$/.test(region)) return null;
+    bias.region = region.toLowerCase();
+  }
+  
+  if (components !== undefined && components !== '') {
+    if (typeof components !== 'string' || components.length > 200) return null;
+    const parts = components.split('|').map(part => part.split(':'));
+    if (!parts.every(part => part.length === 2 && GEOCODE_COMPONENTS.includes(part[0]) && part[1].trim())) return null;
+    bias.components = parts.map(([name, value]) => `${name}:${sanitizeInput(value).trim()}`).join('|');
+  }
+  
+  return bias;
+}
+
+// Cache key for a geocode - unbiased lookups keep the plain address as their key
+function geocodeCacheKey(address, bias) {
+  const normalizedAddress = address.toLowerCase().trim();
+  const biasKey = ['region', 'components']
+    .filter(name => bias[name])
+    .map(name => `${name}=${bias[name].toLowerCase()}`)
+    .join(',');
+  return biasKey ? `${normalizedAddress}|${biasKey}` : normalizedAddress;
+}
+
+// Autocomplete session tokens are UUIDs or similar - letters, digits and dashes
+function isSessionToken(value) {
+  return typeof value === 'string' && /^[a-zA-Z0-9_-]{1,64}$/.test(value);
+}
+
+// Autocomplete input length limits, and how far around a bias point suggestions are preferred (meters)
+const AUTOCOMPLETE_MIN_INPUT = 2;
+const AUTOCOMPLETE_MAX_INPUT = 200;
+const AUTOCOMPLETE_BIAS_RADIUS = 50000;
+
+// Nearby search radius limits, in meters
+const MIN_SEARCH_RADIUS = 100;
+const MAX_SEARCH_RADIUS = 50000;
+const DEFAULT_SEARCH_RADIUS = 1609; // 1 mile
+
+function clampRadius(radius) {
+  return Math.min(Math.max(parseInt(radius) || DEFAULT_SEARCH_RADIUS, MIN_SEARCH_RADIUS), MAX_SEARCH_RADIUS);
+}
+
+// Most radii one search tries - every type is searched again at each one
+const MAX_RADIUS_STEPS = 4;
+
+// Radii to try when widening a search - doubling from radius, finishing exactly at maxRadius
+// The last allowed step jumps straight to maxRadius rather than going over MAX_RADIUS_STEPS
+function radiusSteps(radius, maxRadius) {
+  const steps = [radius];
+  while (steps[steps.length - 1] < maxRadius) {
+    steps.push(steps.length === MAX_RADIUS_STEPS - 1
+      ? maxRadius
+      : Math.min(steps[steps.length - 1] * 2, maxRadius));
+  }
+  return steps;
+}
+
+// Most place types one nearby search can combine
+const MAX_SEARCH_TYPES = 6;
+
+// Merge nearby results for several types, dropping places found under more than one
+// Results are interleaved so every type is represented near the top, and each place
+// lists the searched types it matched as categories
+function mergeNearbyResults(responsesByType) {
+  const merged = new Map();
+  const longest = Math.max(...responsesByType.map(({ data }) => (data.results || []).length));
+  
+  for (let i = 0; i < longest; i++) {
+    for (const { type, data } of responsesByType) {
+      const place = (data.results || [])[i];
+      if (!place) continue;
+      
+      const existing = merged.get(place.place_id);
+      if (existing) {
+        existing.categories.push(type);
+      } else {
+        merged.set(place.place_id, { ...place, categories: [type] });
+      }
+    }
+  }
+  
+  return [...merged.values()];
+}
+
 function sanitizeInput(input) {
   if (typeof input !== 'string') return '';
   // Basic sanitization - remove potentially dangerous characters
@@ -308,7 +596,7 @@ function sanitizeInput(input) {
 }
 
 // Helper for batch geocoding requests
-async function batchGeocode(addresses) {
+async function batchGeocode(addresses, client, bias = {}) {
   const results = [];
   const errors = [];
   
@@ -328,14 +616,13 @@ async function batchGeocode(addresses) {
     const batch = validatedAddresses.slice(i, i + batchSize);
     const promises = batch.map(async (address) => {
       try {
-        const normalizedAddress = address.toLowerCase().trim();
-        const cacheKey = normalizedAddress;
-        const apiUrl = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(address)}&key=${process.env.GOOGLE_MAPS_API_KEY}`;
+        const cacheKey = geocodeCacheKey(address, bias);
         
-        const data = await handleCachedRequest('geocoding', cacheKey, apiUrl);
+        const data = await handleCachedRequest('geocoding', cacheKey, () => provider.geocode({ address, ...bias }), { client, priority: PRIORITY.BATCH });
         return { address, data };
       } catch (error) {
-        return { address, error: error.message };
+        const { code, message } = toApiError(error);
+        return { address, error: message, code };
       }
     });
     
@@ -345,16 +632,11 @@ async function batchGeocode(addresses) {
     // Process batch results
     for (const result of batchResults) {
       if (result.error) {
-        errors.push({ address: result.address, error: result.error });
+        errors.push({ address: result.address, error: result.error, code: result.code });
       } else {
         results.push({ address: result.address, data: result.data });
       }
     }
-    
-    // Add a small delay between batches to avoid rate limiting
-    if (i + batchSize < validatedAddresses.length) {
-      await new Promise(resolve => setTimeout(resolve, 200));
-    }
   }
   
   return { results, errors };
@@ -364,8 +646,16 @@ async function batchGeocode(addresses) {
 const apiRoutes = express.Router();
 
 // Test endpoint to verify server is responsive
+// Reports DEGRADED while any upstream circuit breaker isn't closed
 apiRoutes.get('/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Server is running' });
+  const upstream = Object.fromEntries(Object.entries(breakers).map(([service, breaker]) => [service, breaker.status()]));
+  const degraded = Object.values(upstream).some(breaker => breaker.state !== CIRCUIT_STATE.CLOSED);
+  
+  res.json({
+    status: degraded ? 'DEGRADED' : 'OK',
+    message: degraded ? 'Server is running, some upstream services are unavailable' : 'Server is running',
+    upstream
+  });
 });
 
 // API Key verification endpoint - only available in non-production
@@ -391,60 +681,98 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 // Stats endpoint for monitoring
-apiRoutes.get('/stats', (req, res) => {
+apiRoutes.get('/stats', async (req, res) => {
   checkSessionReset();
   res.json({
     requestStats,
     cacheStats: {
-      geocoding: cache.geocoding.size,
-      places: cache.places.size,
-      details: cache.details.size
+      backend: cacheBackend.name,
+      geocoding: await cacheBackend.size('geocoding'),
+      places: await cacheBackend.size('places'),
+      details: await cacheBackend.size('details'),
+      matrix: await cacheBackend.size('matrix'),
+      autocomplete: await cacheBackend.size('autocomplete'),
+      reverseGeocoding: await cacheBackend.size('reverseGeocoding'),
+      directions: await cacheBackend.size('directions')
+    },
+    cacheMetrics: cacheLayer.metrics(),
+    schedulerStats: scheduler.stats(),
+    quotaStats: {
+      clients: quota.size()
     }
   });
 });
 
+// The calling client's quota - doesn't count against it
+apiRoutes.get('/quota', (req, res) => {
+  res.json(quota.status(req.client));
+});
+
 // Reset stats endpoint (for testing or manual reset) - admin only
-apiRoutes.post('/stats/reset', (req, res) => {
+apiRoutes.post('/stats/reset', async (req, res) => {
   // Add authentication check here for production
   if (process.env.NODE_ENV === 'production' && (!req.headers.authorization || req.headers.authorization !== `Bearer ${process.env.ADMIN_API_KEY}`)) {
-    return res.status(401).json({ error: 'Unauthorized' });
+    return sendError(res, createApiError(ERROR_CODES.UNAUTHORIZED, 'Unauthorized'));
   }
   
   console.log('Manually resetting API stats');
   Object.keys(requestStats).forEach(key => {
-    if (typeof requestStats[key] === 'number' && key !== 'limit') {
+    if (typeof requestStats[key] === 'number') {
       requestStats[key] = 0;
     }
   });
   requestStats.lastReset = Date.now();
   
-  // Also clear caches
-  cache.geocoding.clear();
-  cache.places.clear();
-  cache.details.clear();
+  // Also clear caches and their metrics, and every client's quota usage
+  await cacheLayer.clear();
+  quota.reset();
   
   res.json({ message: 'Stats reset successfully', requestStats });
 });
 
 // Endpoint for geocoding
+// region (e.g. "us") biases results toward a country, and components (e.g. "country:US") restricts them
 apiRoutes.get('/geocode', async (req, res) => {
   const address = req.query.address;
   
   if (!address) {
-    return res.status(400).json({ error: 'Address is required' });
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Address is required'));
+  }
+  
+  const bias = parseGeocodeBias(req.query);
+  if (!bias) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, INVALID_GEOCODE_BIAS));
   }
   
   try {
     // Sanitize input
     const sanitizedAddress = sanitizeInput(address);
-    const normalizedAddress = sanitizedAddress.toLowerCase().trim();
-    const cacheKey = normalizedAddress;
-    const apiUrl = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(sanitizedAddress)}&key=${process.env.GOOGLE_MAPS_API_KEY}`;
+    const cacheKey = geocodeCacheKey(sanitizedAddress, bias);
+    
+    const data = await handleCachedRequest('geocoding', cacheKey, () => provider.geocode({ address: sanitizedAddress, ...bias }), { client: req.client });
+    res.json(data);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Address for a location, e.g. from the browser's geolocation
+// Coordinates are rounded to about a meter, so the same spot shares a cache entry
+apiRoutes.get('/geocode/reverse', async (req, res) => {
+  const { lat, lng } = req.query;
+  
+  if (!validateCoordinates(lat, lng)) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Invalid coordinates format'));
+  }
+  
+  try {
+    const location = { lat: Number(parseFloat(lat).toFixed(5)), lng: Number(parseFloat(lng).toFixed(5)) };
+    const cacheKey = `${location.lat},${location.lng}`;
     
-    const data = await handleCachedRequest('geocoding', cacheKey, apiUrl);
+    const data = await handleCachedRequest('reverseGeocoding', cacheKey, () => provider.reverseGeocode({ location }), { client: req.client });
     res.json(data);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -453,96 +781,217 @@ apiRoutes.post('/geocode/batch', async (req, res) => {
   const { addresses } = req.body;
   
   if (!addresses || !Array.isArray(addresses) || addresses.length === 0) {
-    return res.status(400).json({ error: 'Array of addresses is required' });
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Array of addresses is required'));
+  }
+  
+  // The same region and components apply to every address
+  const bias = parseGeocodeBias(req.body);
+  if (!bias) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, INVALID_GEOCODE_BIAS));
   }
   
   try {
-    const results = await batchGeocode(addresses);
+    const results = await batchGeocode(addresses, req.client, bias);
     res.json(results);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // Endpoint for nearby places with pagination
+// type can list several place types separated by commas - their results are merged
+// With maxradius, a search that finds nothing is retried at wider radii up to maxradius,
+// and the radius that was finally used is returned as search_radius
+// minprice, maxprice, minrating, minreviews and opennow filter the results (see placeFilters.js)
+// Results are ranked best first (see ranking.js) - pass participants as "lat,lng|lat,lng" so the
+// ranking can weigh how fairly each place splits the trip, and to get each person's distance to it.
+// modes lists each participant's travel mode in the same order, separated by "," - driving if left out
+// next_page_tokens maps each type with more results to its token - pass one back as pagetoken, with
+// its type and the original search parameters, to get the next page ranked and tagged like the first
 apiRoutes.get('/places/nearby', async (req, res) => {
-  const { lat, lng, radius, type, pagetoken } = req.query;
+  const { lat, lng, radius, maxradius, type, pagetoken } = req.query;
   
   if ((!lat || !lng) && !pagetoken) {
-    return res.status(400).json({ error: 'Location coordinates required unless using pagetoken' });
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Location coordinates required unless using pagetoken'));
+  }
+  
+  const participants = parseParticipantLocations(req.query.participants);
+  if (!participants) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, `participants must be up to ${MATRIX_LIMITS.maxOrigins} "lat,lng" pairs separated by "|"`));
   }
   
+  const requestedModes = typeof req.query.modes === 'string' ? req.query.modes.split(',') : [];
+  const modes = requestedModes.length <= participants.length
+    ? getParticipantModes(participants.map((participant, i) => ({ ...participant, mode: requestedModes[i] })), 'driving')
+    : null;
+  if (!modes) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, `modes must give at most one travel mode per participant. ${INVALID_TRAVEL_MODE}`));
+  }
+  const travellers = participants.map((participant, i) => ({ ...participant, mode: modes[i] }));
+  
   try {
-    // If using pagetoken, it's the only parameter needed
+    const filters = parsePlaceFilters(req.query);
+    
+    // If using pagetoken, it's the only parameter needed upstream - filters are applied again to each page
     if (pagetoken) {
       // Validate pagetoken format
       if (typeof pagetoken !== 'string' || pagetoken.length > 300) {
-        return res.status(400).json({ error: 'Invalid pagetoken format' });
+        return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Invalid pagetoken format'));
       }
       
       const cacheKey = `pagetoken:${pagetoken}`;
-      const apiUrl = `https://maps.googleapis.com/maps/api/place/nearbysearch/json?pagetoken=${encodeURIComponent(pagetoken)}&key=${process.env.GOOGLE_MAPS_API_KEY}`;
       
-      // Page tokens require a delay before they're valid
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      const data = await handleCachedRequest('places', cacheKey, () => provider.nearby({ pagetoken }), { client: req.client });
+      const pageType = typeof type === 'string' && /^[a-zA-Z_]+$/.test(type) ? type : null;
+      const results = filterPlaces(data.results || [], filters)
+        .map(place => (pageType ? { ...place, categories: [pageType] } : place));
       
-      const data = await handleCachedRequest('places', cacheKey, apiUrl);
-      res.json(data);
+      // Later pages can only be ranked if the search location is passed along with the token
+      res.json({
+        ...data,
+        results: validateCoordinates(lat, lng)
+          ? rankPlaces(results, {
+            center: { lat: parseFloat(lat), lng: parseFloat(lng) },
+            participants: travellers,
+            radius: clampRadius(radius),
+            weights: RANKING_WEIGHTS
+          })
+          : results
+      });
       return;
     }
     
     // Validate coordinates
     if (!validateCoordinates(lat, lng)) {
-      return res.status(400).json({ error: 'Invalid coordinates format' });
+      return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Invalid coordinates format'));
     }
     
     // Validate and sanitize radius and type
-    const safeRadius = Math.min(Math.max(parseInt(radius) || 1609.34, 100), 50000);
-    const safeType = /^[a-zA-Z_]+$/.test(type) ? type : 'restaurant';
+    const safeRadius = clampRadius(radius);
+    const safeMaxRadius = maxradius ? Math.max(clampRadius(maxradius), safeRadius) : safeRadius;
+    const requestedTypes = typeof type === 'string' ? type.split(',').map(t => t.trim()) : [];
+    const validTypes = [...new Set(requestedTypes.filter(t => /^[a-zA-Z_]+$/.test(t)))];
+    const safeTypes = validTypes.length > 0 ? validTypes : ['restaurant'];
+    
+    if (safeTypes.length > MAX_SEARCH_TYPES) {
+      return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, `No more than ${MAX_SEARCH_TYPES} place types can be searched at once`));
+    }
     
-    // Normal nearby search
-    const cacheKey = `${lat},${lng},${safeRadius},${safeType}`;
-    const apiUrl = `https://maps.googleapis.com/maps/api/place/nearbysearch/json?location=${lat},${lng}&radius=${safeRadius}&type=${safeType}&key=${process.env.GOOGLE_MAPS_API_KEY}`;
+    // Filters the provider handles itself change its response, so they're part of the cache key
+    const forwardedFilters = upstreamFilters(filters, provider.supportedFilters);
+    const filterKey = filtersCacheKey(forwardedFilters);
     
-    const data = await handleCachedRequest('places', cacheKey, apiUrl);
-    res.json(data);
+    // Normal nearby search for each type, widening until something passes the filters
+    // The whole search - every type at every radius - is charged as one call
+    const location = { lat: parseFloat(lat), lng: parseFloat(lng) };
+    const chargeGroup = `search:${crypto.randomUUID()}`;
+    let responsesByType;
+    let results;
+    let searchRadius;
+    
+    for (const stepRadius of radiusSteps(safeRadius, safeMaxRadius)) {
+      responsesByType = await Promise.all(safeTypes.map(async (safeType) => {
+        const cacheKey = `${lat},${lng},${stepRadius},${safeType}${filterKey ? `,${filterKey}` : ''}`;
+        const data = await handleCachedRequest('places', cacheKey, () => provider.nearby({ location, radius: stepRadius, type: safeType, filters: forwardedFilters }), { client: req.client, chargeGroup });
+        return { type: safeType, data };
+      }));
+      results = filterPlaces(mergeNearbyResults(responsesByType), filters);
+      searchRadius = stepRadius;
+      
+      if (results.length > 0) break;
+      console.log(`No ${safeTypes.join('/')} results within ${stepRadius}m${stepRadius < safeMaxRadius ? ', widening search' : ''}`);
+    }
+    
+    // Page tokens belong to a single type's search - next_page_token is kept for single-type searches
+    const nextPageTokens = Object.fromEntries(responsesByType
+      .filter(({ data }) => data.next_page_token)
+      .map(({ type: pageType, data }) => [pageType, data.next_page_token]));
+    
+    res.json({
+      status: results.length > 0 ? 'OK' : 'ZERO_RESULTS',
+      results: rankPlaces(results, { center: location, participants: travellers, radius: searchRadius, weights: RANKING_WEIGHTS }),
+      ...(safeTypes.length === 1 && responsesByType[0].data.next_page_token
+        ? { next_page_token: responsesByType[0].data.next_page_token }
+        : {}),
+      next_page_tokens: nextPageTokens,
+      search_radius: searchRadius
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // Endpoint for place details
+// sessiontoken ends the autocomplete session the place was picked in - it isn't part of the cache key
 apiRoutes.get('/places/details', async (req, res) => {
-  const { placeid, fields } = req.query;
+  const { placeid, fields, sessiontoken } = req.query;
   
   if (!placeid) {
-    return res.status(400).json({ error: 'Place ID is required' });
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Place ID is required'));
+  }
+  if (sessiontoken !== undefined && !isSessionToken(sessiontoken)) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Invalid session token format'));
   }
   
   try {
     // Validate placeid format
     if (typeof placeid !== 'string' || placeid.length > 300 || !/^[a-zA-Z0-9_\-]+$/.test(placeid)) {
-      return res.status(400).json({ error: 'Invalid place ID format' });
+      return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Invalid place ID format'));
     }
     
     // Validate fields if provided
-    let fieldsParam = '';
+    let fieldList = [];
     if (fields) {
       // Only allow specific field names
       const allowedFields = ['name', 'rating', 'formatted_address', 'geometry', 'photos', 'price_level', 'opening_hours', 'website'];
-      const fieldList = fields.split(',').filter(field => allowedFields.includes(field.trim()));
-      if (fieldList.length > 0) {
-        fieldsParam = `&fields=${fieldList.join(',')}`;
-      }
+      fieldList = fields.split(',').map(field => field.trim()).filter(field => allowedFields.includes(field));
     }
     
-    const cacheKey = `${placeid},${fieldsParam}`;
-    const apiUrl = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${placeid}${fieldsParam}&key=${process.env.GOOGLE_MAPS_API_KEY}`;
+    const cacheKey = `${placeid},${fieldList.join(',')}`;
     
-    const data = await handleCachedRequest('details', cacheKey, apiUrl);
+    const data = await handleCachedRequest('details', cacheKey, () => provider.details({ placeId: placeid, fields: fieldList, sessionToken: sessiontoken }), { client: req.client });
     res.json(data);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+// Address suggestions while typing - see normalizePrediction in providers/normalize.js for the shape
+// sessiontoken ties the requests for one address together, and lat/lng bias suggestions toward a point
+// Suggestions are cached by input and bias only, so everyone typing the same thing shares them
+// A session's requests count once against the quota, like Google bills them - requests without a
+// sessiontoken count one each. The route has its own rate limit rather than the general one
+apiRoutes.get('/places/autocomplete', autocompleteLimiter, async (req, res) => {
+  const { input, sessiontoken, lat, lng } = req.query;
+  const sanitizedInput = sanitizeInput(input).trim();
+  
+  if (sanitizedInput.length < AUTOCOMPLETE_MIN_INPUT || sanitizedInput.length > AUTOCOMPLETE_MAX_INPUT) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, `Input must be ${AUTOCOMPLETE_MIN_INPUT} to ${AUTOCOMPLETE_MAX_INPUT} characters`));
+  }
+  if (sessiontoken !== undefined && !isSessionToken(sessiontoken)) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Invalid session token format'));
+  }
+  
+  let location;
+  if (lat !== undefined || lng !== undefined) {
+    if (!validateCoordinates(lat, lng)) {
+      return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Invalid coordinates format'));
+    }
+    // Rounded to about 1km so nearby bias points share cache entries
+    location = { lat: Number(parseFloat(lat).toFixed(2)), lng: Number(parseFloat(lng).toFixed(2)) };
+  }
+  
+  try {
+    const cacheKey = `${sanitizedInput.toLowerCase()}|${location ? `${location.lat},${location.lng}` : ''}`;
+    const data = await handleCachedRequest('autocomplete', cacheKey, () => provider.autocomplete({
+      input: sanitizedInput,
+      sessionToken: sessiontoken,
+      location,
+      radius: location ? AUTOCOMPLETE_BIAS_RADIUS : undefined
+    }), { client: req.client, chargeGroup: sessiontoken && `autocomplete:${sessiontoken}` });
+    res.json(data);
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
@@ -551,33 +1000,29 @@ apiRoutes.get('/places/photo', async (req, res) => {
   const { photoreference, maxwidth = 400 } = req.query;
   
   if (!photoreference) {
-    return res.status(400).json({ error: 'Photo reference is required' });
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Photo reference is required'));
   }
   
   try {
     // Validate inputs
     if (typeof photoreference !== 'string' || photoreference.length > 500) {
-      return res.status(400).json({ error: 'Invalid photo reference' });
+      return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Invalid photo reference'));
     }
     
     // Limit maxwidth to reasonable values
     const safeMaxWidth = Math.min(Math.max(parseInt(maxwidth) || 400, 100), 1600);
     
-    // Make request to Google's photo API
-    const photoUrl = `https://maps.googleapis.com/maps/api/place/photo?maxwidth=${safeMaxWidth}&photoreference=${encodeURIComponent(photoreference)}&key=${process.env.GOOGLE_MAPS_API_KEY}`;
-    
-    const photoResponse = await api.get(photoUrl, {
-      responseType: 'stream'
-    });
+    // Fetch the photo from the provider
+    const photo = await provider.photo({ reference: photoreference, maxWidth: safeMaxWidth });
     
     // Forward the content type
-    res.set('Content-Type', photoResponse.headers['content-type']);
+    res.set('Content-Type', photo.contentType);
     
     // Pipe the photo data directly to the response
-    photoResponse.data.pipe(res);
+    photo.data.pipe(res);
   } catch (error) {
     console.error('Error fetching photo:', error.message);
-    res.status(500).json({ error: 'Error fetching photo' });
+    sendError(res, error);
   }
 });
 
@@ -586,7 +1031,7 @@ apiRoutes.post('/places/details/batch', async (req, res) => {
   const { placeIds, fields } = req.body;
   
   if (!placeIds || !Array.isArray(placeIds) || placeIds.length === 0) {
-    return res.status(400).json({ error: 'Array of place IDs is required' });
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Array of place IDs is required'));
   }
   
   try {
@@ -597,16 +1042,14 @@ apiRoutes.post('/places/details/batch', async (req, res) => {
     const batchSize = 5;
     
     // Validate fields if provided
-    let fieldsParam = '';
+    let fieldList = [];
     if (fields && Array.isArray(fields)) {
       // Only allow specific field names
       const allowedFields = ['name', 'rating', 'formatted_address', 'geometry', 'photos', 'price_level', 'opening_hours', 'website'];
-      const fieldList = fields.filter(field => 
-        typeof field === 'string' && allowedFields.includes(field.trim())
-      );
-      if (fieldList.length > 0) {
-        fieldsParam = fieldList.join(',');
-      }
+      fieldList = fields
+        .filter(field => typeof field === 'string')
+        .map(field => field.trim())
+        .filter(field => allowedFields.includes(field));
     }
     
     // Validate placeIds
@@ -615,20 +1058,20 @@ apiRoutes.post('/places/details/batch', async (req, res) => {
     );
     
     if (validPlaceIds.length === 0) {
-      return res.status(400).json({ error: 'No valid place IDs provided' });
+      return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'No valid place IDs provided'));
     }
     
     for (let i = 0; i < validPlaceIds.length; i += batchSize) {
       const batch = validPlaceIds.slice(i, i + batchSize);
       const promises = batch.map(async (placeId) => {
         try {
-          const cacheKey = `${placeId},${fieldsParam}`;
-          const apiUrl = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${placeId}${fieldsParam ? `&fields=${fieldsParam}` : ''}&key=${process.env.GOOGLE_MAPS_API_KEY}`;
+          const cacheKey = `${placeId},${fieldList.join(',')}`;
           
-          const data = await handleCachedRequest('details', cacheKey, apiUrl);
+          const data = await handleCachedRequest('details', cacheKey, () => provider.details({ placeId, fields: fieldList }), { client: req.client, priority: PRIORITY.BATCH });
           return { placeId, data };
         } catch (error) {
-          return { placeId, error: error.message };
+          const { code, message } = toApiError(error);
+          return { placeId, error: message, code };
         }
       });
       
@@ -636,21 +1079,265 @@ apiRoutes.post('/places/details/batch', async (req, res) => {
       
       for (const result of batchResults) {
         if (result.error) {
-          errors.push({ placeId: result.placeId, error: result.error });
+          errors.push({ placeId: result.placeId, error: result.error, code: result.code });
         } else {
           results.push({ placeId: result.placeId, data: result.data });
         }
       }
-      
-      // Add a small delay between batches
-      if (i + batchSize < validPlaceIds.length) {
-        await new Promise(resolve => setTimeout(resolve, 200));
-      }
     }
     
     res.json({ results, errors });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+// A Distance Matrix style response for origins that may each travel a different way
+// Origins sharing a mode are looked up together, each group through the shared cache, quota and rate limiting
+async function fetchTravelMatrix(origins, modes, destinations, departureTime, client) {
+  const rows = new Array(origins.length);
+  await Promise.all([...new Set(modes)].map(async (mode) => {
+    const indexes = modes.flatMap((originMode, i) => (originMode === mode ? [i] : []));
+    const group = indexes.map(i => origins[i]);
+    const data = await handleCachedRequest(
+      'matrix',
+      buildMatrixCacheKey(group, destinations, mode, departureTime),
+      () => matrixProvider.getMatrix(group, destinations, mode, departureTime),
+      { client }
+    );
+    indexes.forEach((originIndex, k) => {
+      rows[originIndex] = (data.rows && data.rows[k]) || { elements: [] };
+    });
+  }));
+  return { status: 'OK', rows };
+}
+
+// Travel times from every participant to every destination, usually the listed venues
+// Participants can each have their own mode, falling back to the request's mode.
+// Destinations are split into chunks within the provider's limits, each cached on its own - keep
+// the order stable when adding destinations so the earlier chunks are served from the cache.
+// Responds in the Distance Matrix shape: rows[i].elements[j] for participant i and destination j.
+// Elements of a chunk that failed get { status: 'ERROR', error, code }, so the others are still shown
+apiRoutes.post('/matrix', async (req, res) => {
+  const { participants, destinations, mode = 'driving', departureTime } = req.body;
+  
+  if (!participants || !Array.isArray(participants) || participants.length === 0) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Array of participant locations is required'));
+  }
+  
+  if (participants.length > MATRIX_BATCH_LIMITS.maxOrigins) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, `No more than ${MATRIX_BATCH_LIMITS.maxOrigins} participants are supported`));
+  }
+  
+  if (!destinations || !Array.isArray(destinations) || destinations.length === 0) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Array of destination locations is required'));
+  }
+  
+  if (destinations.length > MATRIX_BATCH_LIMITS.maxDestinations) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, `No more than ${MATRIX_BATCH_LIMITS.maxDestinations} destinations are supported`));
+  }
+  
+  if (![...participants, ...destinations].every(p => p && validateCoordinates(p.lat, p.lng))) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Invalid coordinates format'));
+  }
+  
+  const modes = getParticipantModes(participants, mode);
+  if (!modes) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, INVALID_TRAVEL_MODE));
+  }
+  
+  const departure = parseDepartureTime(departureTime);
+  if (departure === null) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, INVALID_DEPARTURE_TIME));
+  }
+  
+  try {
+    const toPoint = (p) => ({ lat: parseFloat(p.lat), lng: parseFloat(p.lng) });
+    const origins = participants.map(toPoint);
+    const targets = destinations.map(toPoint);
+    const chunkSize = matrixChunkSize(origins.length);
+    const chunks = [];
+    for (let i = 0; i < targets.length; i += chunkSize) {
+      chunks.push(targets.slice(i, i + chunkSize));
+    }
+    
+    const chunkElements = await Promise.all(chunks.map(async (chunk) => {
+      try {
+        const data = await fetchTravelMatrix(origins, modes, chunk, departure, req.client);
+        return origins.map((_, i) => chunk.map((__, j) => {
+          const element = data.rows && data.rows[i] && data.rows[i].elements && data.rows[i].elements[j];
+          return element || { status: 'NOT_FOUND' };
+        }));
+      } catch (error) {
+        const { code, message } = toApiError(error);
+        return origins.map(() => chunk.map(() => ({ status: 'ERROR', error: message, code })));
+      }
+    }));
+    
+    const rows = origins.map((_, i) => ({ elements: chunkElements.flatMap(elements => elements[i]) }));
+    res.json({ status: 'OK', rows, mode, modes });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Travel-time fair meeting point
+// Samples candidates around the midpoint and picks the one where travel times are most even
+apiRoutes.post('/meetpoint/fair', async (req, res) => {
+  const { participants, mode = 'driving', departureTime, radius, strategy = DEFAULT_MIDPOINT_STRATEGY } = req.body;
+  
+  if (!participants || !Array.isArray(participants) || participants.length < 2) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Array of at least two participant locations is required'));
+  }
+  
+  if (participants.length > MATRIX_LIMITS.maxOrigins) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, `No more than ${MATRIX_LIMITS.maxOrigins} participants are supported`));
+  }
+  
+  // Validate participant coordinates
+  if (!participants.every(p => p && validateCoordinates(p.lat, p.lng))) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Invalid coordinates format'));
+  }
+  
+  const modes = getParticipantModes(participants, mode);
+  if (!modes) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, INVALID_TRAVEL_MODE));
+  }
+  
+  const departure = parseDepartureTime(departureTime);
+  if (departure === null) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, INVALID_DEPARTURE_TIME));
+  }
+  
+  if (!isMidpointStrategy(strategy)) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Unknown midpoint strategy'));
+  }
+  
+  try {
+    // Sample out to the same radius used for nearby searches by default
+    const safeRadius = Math.min(Math.max(parseInt(radius) || 1609.34, 100), 50000);
+    const origins = participants.map(p => ({ lat: parseFloat(p.lat), lng: parseFloat(p.lng) }));
+    
+    const result = await findFairMeetpoint({
+      participants: origins,
+      radius: safeRadius,
+      strategy,
+      // Each participant travels their own way - matrixOrigins are always the participants, in order
+      fetchMatrix: (matrixOrigins, destinations) => fetchTravelMatrix(matrixOrigins, modes, destinations, departure, req.client)
+    });
+    
+    res.json({ ...result, mode, modes, strategy, radius: safeRadius });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Routes from each participant to a destination, usually the selected venue
+// Routes are returned in participant order; one that can't be found gets { error, code } instead,
+// so the others are still shown. Participants can each have their own mode, falling back to the request's mode.
+apiRoutes.post('/directions', async (req, res) => {
+  const { participants, destination, mode = 'driving', departureTime } = req.body;
+  
+  if (!participants || !Array.isArray(participants) || participants.length === 0) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Array of participant locations is required'));
+  }
+  
+  if (participants.length > DIRECTIONS_LIMITS.maxOrigins) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, `No more than ${DIRECTIONS_LIMITS.maxOrigins} participants are supported`));
+  }
+  
+  if (!participants.every(p => p && validateCoordinates(p.lat, p.lng)) || !destination || !validateCoordinates(destination.lat, destination.lng)) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, 'Invalid coordinates format'));
+  }
+  
+  const modes = getParticipantModes(participants, mode);
+  if (!modes) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, INVALID_TRAVEL_MODE));
+  }
+  
+  const departure = parseDepartureTime(departureTime);
+  if (departure === null) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, INVALID_DEPARTURE_TIME));
+  }
+  
+  try {
+    const target = { lat: parseFloat(destination.lat), lng: parseFloat(destination.lng) };
+    const routes = await Promise.all(participants.map(async (participant, idx) => {
+      const origin = { lat: parseFloat(participant.lat), lng: parseFloat(participant.lng) };
+      try {
+        // Each route goes through the shared cache, quota and rate limiting
+        const data = await handleCachedRequest(
+          'directions',
+          buildDirectionsCacheKey(origin, target, modes[idx], departure),
+          () => directionsProvider.getRoute(origin, target, modes[idx], departure),
+          { client: req.client }
+        );
+        return data.route ? { status: data.status, ...data.route } : { status: data.status };
+      } catch (error) {
+        const { code, message } = toApiError(error);
+        return { error: message, code };
+      }
+    }));
+    
+    res.json({ routes, mode, modes });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Changing a meetup takes its edit key as a Bearer token, the same way /stats/reset takes the admin key
+// The admin key can change any meetup. Throws NOT_FOUND for unknown meetups.
+function canEditMeetup(req, id) {
+  const authorization = req.headers.authorization || '';
+  const token = authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : '';
+  if (process.env.ADMIN_API_KEY && token === process.env.ADMIN_API_KEY) {
+    return true;
+  }
+  return meetupStore.canEdit(id, token);
+}
+
+// Save a meetup - participants, settings, the meeting point and a shortlist of venues
+// The response includes editKey, needed to change or delete it later - it isn't shown again
+apiRoutes.post('/meetups', (req, res) => {
+  try {
+    const { meetup, editKey } = meetupStore.create(req.body || {});
+    console.log(`Saved meetup ${meetup.id}`);
+    res.status(201).json({ ...meetup, editKey });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+apiRoutes.get('/meetups/:id', (req, res) => {
+  try {
+    res.json(meetupStore.get(req.params.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Change any of name, participants, settings, meetingPoint and venues
+apiRoutes.patch('/meetups/:id', (req, res) => {
+  try {
+    if (!canEditMeetup(req, req.params.id)) {
+      return sendError(res, createApiError(ERROR_CODES.UNAUTHORIZED, 'Unauthorized'));
+    }
+    res.json(meetupStore.update(req.params.id, req.body || {}));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+apiRoutes.delete('/meetups/:id', (req, res) => {
+  try {
+    if (!canEditMeetup(req, req.params.id)) {
+      return sendError(res, createApiError(ERROR_CODES.UNAUTHORIZED, 'Unauthorized'));
+    }
+    meetupStore.remove(req.params.id);
+    console.log(`Deleted meetup ${req.params.id}`);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
@@ -667,16 +1354,29 @@ if (process.env.NODE_ENV === 'production') {
 // Error handling middleware (must be after all routes)
 app.use((err, req, res, next) => {
   console.error('Server error:', err);
-  res.status(500).json({ 
-    error: process.env.NODE_ENV === 'production' 
-      ? 'Internal server error' 
-      : err.message || 'Internal server error', 
-    status: 'ERROR' 
-  });
+  
+  // Too late to send an error response - Express's own handler closes the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+  
+  // Bodies that don't parse or are too large are the client's mistake
+  if (err.type && err.status >= 400 && err.status < 500) {
+    return sendError(res, createApiError(ERROR_CODES.INVALID_REQUEST, err.message));
+  }
+  
+  // Unexpected errors don't show their details in production
+  const { code, message, retryAfter } = toApiError(err);
+  const safeMessage = code === ERROR_CODES.INTERNAL_ERROR && process.env.NODE_ENV === 'production'
+    ? 'Internal server error'
+    : message;
+  sendError(res, createApiError(code, safeMessage, retryAfter));
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  console.log(`Maps provider: ${provider.name}`);
+  console.log(`Cache backend: ${cacheBackend.name}`);
   console.log(`API Key exists: ${!!process.env.GOOGLE_MAPS_API_KEY}`);
   
   if (process.env.GOOGLE_MAPS_API_KEY && process.env.NODE_ENV !== 'production') {
@@ -691,4 +1391,25 @@ app.listen(PORT, () => {
     heapTotal: `${Math.round(memoryUsage.heapTotal / 1024 / 1024)}MB`,
     heapUsed: `${Math.round(memoryUsage.heapUsed / 1024 / 1024)}MB`
   });
-});
\ No newline at end of file
+});
+
+// Graceful shutdown - stop accepting requests, finish saving meetups, then snapshot the cache to disk
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down`);
+  
+  server.close();
+  await meetupStore.flush();
+  try {
+    await cacheBackend.snapshot();
+    await cacheBackend.close();
+  } catch (error) {
+    console.error('Error saving cache on shutdown:', error.message);
+  }
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
\ No newline at end of file
@@ -1,16 +1,74 @@
 import React, { useState, useCallback, memo, useEffect } from 'react';
+import {
+  MIN_PARTICIPANTS,
+  MAX_PARTICIPANTS,
+  PARTICIPANT_COLORS,
+  TRAVEL_MODES,
+  createParticipant,
+  getParticipantLabel
+} from './participants';
+import { MIDPOINT_STRATEGIES } from '../shared/geometry';
+import { ERROR_CODES, createApiError, errorFromResponse, describeError } from './apiErrors';
+import { RADIUS_UNITS, convertRadius, formatRadius, toMeters } from './searchRadius';
+import { VENUE_CATEGORIES, describeCategories } from './categories';
+import { PRICE_LEVELS, RATING_OPTIONS } from './placeFilters';
+import { resolvePlace, canUseGeolocation, getCurrentLocation, reverseGeocode } from './addressLookup';
+import { parseLocationInput, recoverShortPlusCode } from './locationInput';
+import AddressInput from './AddressInput';
+
+// Identifies a search so an unchanged one isn't looked up again
+function getSearchSignature(participants, region = '') {
+  return JSON.stringify([region, ...participants.map(participant =>
+    [participant.name, participant.address.replace(/[<>]/g, '').trim(), participant.color, participant.mode, participant.placeId, participant.location]
+  )]);
+}
+
+// OpenStreetMap results come with an importance from 0 to 1 and fill out a list of five whether or not
+// they're likely - those within this much of the top result are real alternatives to it
+const SIMILAR_IMPORTANCE = 0.1;
+
+// The matches to choose between when a geocode is ambiguous - a partial match, or several results that
+// fit about as well as each other. Google only returns several when they all fit. Returns null when the
+// top result can be trusted
+function getGeocodeChoices(results) {
+  const [top] = results;
+  const matches = top.partial_match || !Number.isFinite(top.importance)
+    ? results
+    : results.filter(result => top.importance - (result.importance || 0) <= SIMILAR_IMPORTANCE);
+  return top.partial_match || matches.length > 1
+    ? matches.map(result => ({ formattedAddress: result.formatted_address, lat: result.geometry.location.lat, lng: result.geometry.location.lng }))
+    : null;
+}
 
 // Using memo to prevent unnecessary re-renders
-const AddressForm = memo(function AddressForm({ onCoordsUpdate }) {
-  const [address1, setAddress1] = useState('');
-  const [address2, setAddress2] = useState('');
+// initialCoords fills in the participants for a search opened from a link - it's already been looked up
+const AddressForm = memo(function AddressForm({ initialCoords, onCoordsUpdate, midpointStrategy, onMidpointStrategyChange, searchRadius, onSearchRadiusChange, categories, onCategoriesChange, placeFilters, onPlaceFiltersChange, departureTime, onDepartureTimeChange }) {
+  const [participants, setParticipants] = useState(() => (initialCoords && initialCoords.length >= MIN_PARTICIPANTS
+    ? initialCoords.map((coord, idx) => createParticipant(idx, { name: coord.name, address: coord.originalAddress, color: coord.color, mode: coord.mode }))
+    : Array.from({ length: MIN_PARTICIPANTS }, (_, idx) => createParticipant(idx))
+  ));
+  // Radius, categories and filters being edited - applied to the search when the form is submitted
+  const [radiusSettings, setRadiusSettings] = useState(searchRadius);
+  const [selectedCategories, setSelectedCategories] = useState(categories);
+  const [filterSettings, setFilterSettings] = useState(placeFilters);
+  // When everyone sets off, "2026-05-01T18:30" in local time, or '' for now - applied along with the settings above
+  const [departureSetting, setDepartureSetting] = useState(departureTime);
   const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState('');
-  const [previousAddresses, setPreviousAddresses] = useState({ address1: '', address2: '' });
-  const [apiStats, setApiStats] = useState({ total: 0, limit: 50 });
+  // { message, hint, canRetry } - see describeError
+  const [error, setError] = useState(null);
+  const [previousSearch, setPreviousSearch] = useState(() => (initialCoords ? getSearchSignature(participants) : ''));
+  // Country code ("us") that geocoding prefers, for addresses that exist in several countries
+  const [region, setRegion] = useState('');
+  // An ambiguous lookup waiting for a choice - { participants, coordinates, selections } where
+  // selections maps each ambiguous participant's index to the chosen match
+  const [pendingChoice, setPendingChoice] = useState(null);
+  // ID of the participant whose current location is being found
+  const [locatingId, setLocatingId] = useState(null);
+  const [quota, setQuota] = useState(null);
   const [serverAvailable, setServerAvailable] = useState(true);
-
-  // Check server health and fetch API stats
+  const [degradedServices, setDegradedServices] = useState([]);
+  
+  // Check server health and fetch this client's quota
   useEffect(() => {
     // Check if server is available
     const checkServerHealth = async () => {
@@ -18,8 +76,13 @@ const AddressForm = memo(function AddressForm({ onCoordsUpdate }) {
         const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/health`);
         if (response.ok) {
           setServerAvailable(true);
-          // Now fetch the stats since server is available
-          fetchStats();
+          // Note any upstream services whose circuit breaker has tripped
+          const health = await response.json();
+          setDegradedServices(Object.entries(health.upstream || {})
+            .filter(([, breaker]) => breaker.state !== 'closed')
+            .map(([service]) => service));
+          // Now fetch the quota since server is available
+          fetchQuota();
         } else {
           setServerAvailable(false);
           console.error('Server returned error status:', response.status);
@@ -30,18 +93,17 @@ const AddressForm = memo(function AddressForm({ onCoordsUpdate }) {
       }
     };
     
-    // Fetch API stats from server
-    const fetchStats = async () => {
+    // Fetch this client's remaining quota from server
+    const fetchQuota = async () => {
       try {
-        const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/stats`);
+        const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/quota`, { credentials: 'include' });
         if (response.ok) {
-          const data = await response.json();
-          setApiStats(data.requestStats || { total: 0, limit: 50 });
+          setQuota(await response.json());
         }
       } catch (error) {
-        console.error('Error fetching API stats:', error);
-        // Set default stats on error
-        setApiStats({ total: 0, limit: 50 });
+        console.error('Error fetching quota:', error);
+        // Hide the quota warning on error
+        setQuota(null);
       }
     };
     
@@ -52,129 +114,360 @@ const AddressForm = memo(function AddressForm({ onCoordsUpdate }) {
     const intervalId = setInterval(checkServerHealth, 30000);
     return () => clearInterval(intervalId);
   }, []);
-
-  // Fetch coordinates from backend API
-  const fetchCoordinates = useCallback(async (address) => {
-    if (!address.trim()) {
-      throw new Error('Address cannot be empty');
-    }
-    
+  
+  // Fetch coordinates for every address in one call to the batch endpoint
+  // Ambiguous addresses come back with the choices to pick from - see getGeocodeChoices
+  const fetchAllCoordinates = useCallback(async (addresses, region) => {
     try {
-      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/geocode?address=${encodeURIComponent(address)}`);
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/geocode/batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ addresses, region: region || undefined }),
+        credentials: 'include'
+      });
       
-      if (!response.ok) {
-        let errorMessage = 'Error fetching address coordinates';
-        try {
-          const errorData = await response.json();
-          if (errorData && errorData.error) {
-            errorMessage = errorData.error;
-          }
-        } catch (jsonError) {
-          // If we can't parse JSON, use the response status text
-          errorMessage = `Server error: ${response.status} ${response.statusText}`;
-        }
-        throw new Error(errorMessage);
+      // Every API response reports how much of the daily quota is left
+      const remaining = response.headers.get('X-Quota-Remaining-Day');
+      if (remaining !== null) {
+        setQuota(current => current && {
+          ...current,
+          daily: { ...current.daily, remaining: remaining === 'unlimited' ? null : Number(remaining) }
+        });
       }
       
-      const data = await response.json();
-      
-      if (data.status === 'ZERO_RESULTS') {
-        throw new Error(`Could not find the address: "${address}"`);
-      }
-      
-      if (data.status !== 'OK') {
-        throw new Error(`Geocoding error: ${data.status}`);
+      if (!response.ok) {
+        throw await errorFromResponse(response, 'Error fetching address coordinates');
       }
       
-      const location = data.results[0]?.geometry.location;
+      const data = await response.json();
       
-      if (!location) {
-        throw new Error('Could not parse location data from response');
-      }
+      // Index the batch response by address - the server echoes back each address it looked up
+      const resultsByAddress = new Map();
+      (data.results || []).forEach(result => resultsByAddress.set(result.address, result.data));
+      const errorsByAddress = new Map();
+      (data.errors || []).forEach(result => errorsByAddress.set(result.address, result));
       
-      return {
-        lat: location.lat,
-        lng: location.lng,
-        originalAddress: address
-      };
+      return addresses.map(address => {
+        if (errorsByAddress.has(address)) {
+          const { error, code } = errorsByAddress.get(address);
+          throw createApiError(`Error looking up "${address}": ${error}`, code);
+        }
+        
+        const geocodeData = resultsByAddress.get(address);
+        
+        if (!geocodeData) {
+          throw new Error(`No result returned for "${address}"`);
+        }
+        
+        if (geocodeData.status === 'ZERO_RESULTS') {
+          throw createApiError(`Could not find the address: "${address}"`, ERROR_CODES.NOT_FOUND);
+        }
+        
+        if (geocodeData.status !== 'OK') {
+          throw new Error(`Geocoding error: ${geocodeData.status}`);
+        }
+        
+        const location = geocodeData.results[0]?.geometry.location;
+        
+        if (!location) {
+          throw new Error('Could not parse location data from response');
+        }
+        
+        return {
+          lat: location.lat,
+          lng: location.lng,
+          originalAddress: address,
+          choices: getGeocodeChoices(geocodeData.results)
+        };
+      });
     } catch (error) {
-      console.error('Error in fetchCoordinates:', error);
+      console.error('Error in fetchAllCoordinates:', error);
       throw error;
     }
   }, []);
-
+  
+  // Update a single field of one participant
+  const updateParticipant = useCallback((id, field, value) => {
+    setParticipants(prev => prev.map(participant =>
+      participant.id === id ? { ...participant, [field]: value } : participant
+    ));
+  }, []);
+  
+  // Typing an address forgets any suggestion or location picked for it - it'll be geocoded as typed
+  const changeAddress = useCallback((id, address) => {
+    setParticipants(prev => prev.map(participant =>
+      participant.id === id ? { ...participant, address, placeId: undefined, sessionToken: undefined, location: undefined } : participant
+    ));
+  }, []);
+  
+  // A picked suggestion is looked up by its place ID rather than geocoded
+  const selectAddress = useCallback((id, { address, placeId, sessionToken }) => {
+    setParticipants(prev => prev.map(participant =>
+      participant.id === id ? { ...participant, address, placeId, sessionToken, location: undefined } : participant
+    ));
+  }, []);
+  
+  // Fill in a participant's address from the browser's location
+  // The location itself is kept, so it's searched from exactly rather than geocoded back from the address
+  const fillCurrentLocation = useCallback(async (id) => {
+    setLocatingId(id);
+    setError(null);
+    try {
+      const location = await getCurrentLocation();
+      let address = null;
+      try {
+        address = await reverseGeocode(location);
+      } catch (err) {
+        // The coordinates are enough to search from, so fall back to showing those
+        console.error('Error looking up the address for your location:', err);
+      }
+      setParticipants(prev => prev.map(participant => (participant.id === id
+        ? {
+          ...participant,
+          address: address || `${location.lat.toFixed(5)}, ${location.lng.toFixed(5)}`,
+          location,
+          placeId: undefined,
+          sessionToken: undefined
+        }
+        : participant)));
+    } catch (err) {
+      setError({ message: err.message });
+    } finally {
+      setLocatingId(null);
+    }
+  }, []);
+  
+  // Add another participant to the search
+  const addParticipant = useCallback(() => {
+    setParticipants(prev => {
+      if (prev.length >= MAX_PARTICIPANTS) return prev;
+      return [...prev, createParticipant(prev.length)];
+    });
+  }, []);
+  
+  // Remove a participant, always keeping the minimum number of entries
+  const removeParticipant = useCallback((id) => {
+    setParticipants(prev => {
+      if (prev.length <= MIN_PARTICIPANTS) return prev;
+      return prev.filter(participant => participant.id !== id);
+    });
+  }, []);
+  
+  // Switch units, converting the entered values so the distances stay the same
+  const changeRadiusUnit = useCallback((unit) => {
+    setRadiusSettings(prev => ({
+      radius: convertRadius(prev.radius, prev.unit, unit),
+      maxRadius: convertRadius(prev.maxRadius, prev.unit, unit),
+      unit
+    }));
+  }, []);
+  
+  // Turn a category on or off, keeping the list in picker order
+  const toggleCategory = useCallback((categoryId) => {
+    setSelectedCategories(prev => VENUE_CATEGORIES
+      .map(category => category.id)
+      .filter(id => (id === categoryId) !== prev.includes(id)));
+  }, []);
+  
+  // Hand the looked-up coordinates on, carrying each participant's label, marker color and travel mode
+  const applyCoordinates = useCallback((searchedParticipants, coordinates, searchSignature) => {
+    // Save the current search for future comparison
+    setPreviousSearch(searchSignature);
+    
+    onCoordsUpdate(coordinates.map((coord, idx) => ({
+      lat: coord.lat,
+      lng: coord.lng,
+      originalAddress: coord.originalAddress,
+      name: getParticipantLabel(searchedParticipants[idx], idx),
+      color: searchedParticipants[idx].color,
+      mode: searchedParticipants[idx].mode
+    })));
+  }, [onCoordsUpdate]);
+  
   // Handle form submission
   const handleSubmit = useCallback(async (e) => {
     e.preventDefault();
     
+    if (selectedCategories.length === 0) {
+      setError({ message: 'Pick at least one kind of place to look for' });
+      return;
+    }
+    
+    if (filterSettings.minPrice !== '' && filterSettings.maxPrice !== '' && filterSettings.minPrice > filterSettings.maxPrice) {
+      setError({ message: 'The lowest price level must not be above the highest' });
+      return;
+    }
+    
+    if (region && region.length !== 2) {
+      setError({ message: 'The country code needs two letters, such as us or gb' });
+      return;
+    }
+    
+    // A new radius, categories or filters re-run the place search even if the addresses haven't changed,
+    // and a new departure time looks up travel times again
+    onSearchRadiusChange(radiusSettings);
+    onCategoriesChange(selectedCategories);
+    onPlaceFiltersChange(filterSettings);
+    onDepartureTimeChange(departureSetting);
+    
     setIsLoading(true);
-    setError('');
-
+    setError(null);
+    
+    // Strip the characters the server sanitizes so batch results can be matched back by address
+    const addresses = participants.map(participant => participant.address.replace(/[<>]/g, '').trim());
+    
     // Validate inputs
-    if (!address1.trim() || !address2.trim()) {
-      setError('Both addresses are required');
+    if (addresses.some(address => !address)) {
+      setError({ message: 'Every participant needs an address' });
       setIsLoading(false);
       return;
     }
-
-    // Check if addresses have changed
-    const addressChanged = 
-      address1 !== previousAddresses.address1 || 
-      address2 !== previousAddresses.address2;
     
-    // If addresses have not changed, don't do another lookup
-    if (!addressChanged) {
+    // Check if anything has changed since the last search
+    const searchSignature = getSearchSignature(participants, region);
+    
+    // If nothing has changed, don't do another lookup
+    if (searchSignature === previousSearch) {
       setIsLoading(false);
       return;
     }
-
+    
     // Clear existing coordinates
     onCoordsUpdate([]);
+    setPendingChoice(null);
     
     try {
-      // Add retry mechanism with exponential backoff
-      const getCoordinatesWithRetry = async (address, retries = 2, delay = 1000) => {
-        try {
-          return await fetchCoordinates(address);
-        } catch (error) {
-          if (retries === 0) throw error;
-          
-          // Wait for specified delay
-          await new Promise(resolve => setTimeout(resolve, delay));
-          
-          // Retry with exponential backoff
-          return getCoordinatesWithRetry(address, retries - 1, delay * 2);
-        }
-      };
-      
-      // Fetch both coordinates
-      const [coord1, coord2] = await Promise.all([
-        getCoordinatesWithRetry(address1),
-        getCoordinatesWithRetry(address2)
+      // Current locations, typed coordinates and full Plus Codes are used as they are, and picked
+      // suggestions are looked up by place ID. Everything else is geocoded in a single batch - the
+      // typed addresses, and the localities short Plus Codes are relative to. The server retries
+      // transient upstream failures
+      const typedLocations = participants.map((participant, idx) => (participant.placeId || participant.location
+        ? null
+        : parseLocationInput(addresses[idx])));
+      const geocodeQueries = participants.map((participant, idx) => {
+        if (participant.placeId || participant.location) return null;
+        const typedLocation = typedLocations[idx];
+        if (!typedLocation) return addresses[idx];
+        return typedLocation.kind === 'shortPlusCode' ? typedLocation.locality : null;
+      });
+      const typedAddresses = geocodeQueries.filter(Boolean);
+      const [geocoded, resolved] = await Promise.all([
+        typedAddresses.length > 0 ? fetchAllCoordinates(typedAddresses, region) : [],
+        Promise.all(participants.map((participant, idx) => (participant.placeId
+          ? resolvePlace(participant.placeId, participant.sessionToken, addresses[idx])
+          : null)))
       ]);
-
-      if (coord1 && coord2) {
-        // Save the current addresses for future comparison
-        setPreviousAddresses({ address1, address2 });
+      let nextGeocoded = 0;
+      const coordinates = participants.map((participant, idx) => {
+        if (participant.location) return { ...participant.location, originalAddress: addresses[idx] };
+        if (participant.placeId) return { ...resolved[idx], originalAddress: addresses[idx] };
         
-        // Update with new coordinates and original addresses
-        onCoordsUpdate([coord1, coord2]);
-      } else {
-        setError('Could not fetch one or both addresses.');
+        const typedLocation = typedLocations[idx];
+        const geocodedQuery = geocodeQueries[idx] ? geocoded[nextGeocoded++] : null;
+        if (!typedLocation) return geocodedQuery;
+        // A locality is only a reference point, so there's nothing to choose between
+        const location = typedLocation.kind === 'shortPlusCode'
+          ? recoverShortPlusCode(typedLocation.code, geocodedQuery)
+          : { lat: typedLocation.lat, lng: typedLocation.lng };
+        return { ...location, originalAddress: addresses[idx] };
+      });
+      
+      // Ask which place was meant before searching, rather than quietly taking the top match
+      if (coordinates.some(coord => coord.choices)) {
+        setPendingChoice({
+          participants,
+          coordinates,
+          selections: Object.fromEntries(coordinates.flatMap((coord, idx) => (coord.choices ? [[idx, 0]] : [])))
+        });
+        return;
       }
+      
+      applyCoordinates(participants, coordinates, searchSignature);
     } catch (err) {
-      setError(err instanceof Error ? err.message : 'An unknown error occurred');
+      setError(describeError(err instanceof Error ? err : new Error('An unknown error occurred'), 'address'));
     } finally {
       setIsLoading(false);
     }
-  }, [address1, address2, previousAddresses, fetchCoordinates, onCoordsUpdate]);
-
+  }, [participants, previousSearch, region, fetchAllCoordinates, applyCoordinates, onCoordsUpdate, radiusSettings, onSearchRadiusChange, selectedCategories, onCategoriesChange, filterSettings, onPlaceFiltersChange, departureSetting, onDepartureTimeChange]);
+  
+  // Search with the matches picked for the ambiguous addresses
+  // Their boxes are filled in with the full address picked, so searching again doesn't ask again
+  const confirmChoices = useCallback(() => {
+    const { coordinates, selections } = pendingChoice;
+    const chosen = coordinates.map((coord, idx) => {
+      if (!coord.choices) return coord;
+      const choice = coord.choices[selections[idx]];
+      return { lat: choice.lat, lng: choice.lng, originalAddress: choice.formattedAddress };
+    });
+    const chosenParticipants = pendingChoice.participants.map((participant, idx) => (coordinates[idx].choices
+      ? { ...participant, address: chosen[idx].originalAddress }
+      : participant));
+    
+    setParticipants(prev => prev.map(participant => chosenParticipants.find(chosenParticipant => chosenParticipant.id === participant.id) || participant));
+    setPendingChoice(null);
+    applyCoordinates(chosenParticipants, chosen, getSearchSignature(chosenParticipants, region));
+  }, [pendingChoice, region, applyCoordinates]);
+  
   return (
     <div className="p-6 bg-amber-100 rounded-lg shadow-md border border-amber-300">
-      <h2 className="text-xl font-semibold mb-4 text-amber-900 font-serif">Enter Two Locations</h2>
+      <h2 className="text-xl font-semibold mb-4 text-amber-900 font-serif">Enter Everyone's Locations</h2>
       {error && (
         <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
-          {error}
+          <p>{error.message}</p>
+          {error.hint && <p className="text-sm mt-1">{error.hint}</p>}
+          {error.canRetry && (
+            <button
+              type="submit"
+              form="address-form"
+              className="mt-2 py-1 px-3 rounded text-sm font-medium bg-red-700 hover:bg-red-800 text-red-50"
+              disabled={isLoading}
+            >
+              Try again
+            </button>
+          )}
+        </div>
+      )}
+      
+      {/* Ambiguous addresses - pick the place that was meant */}
+      {pendingChoice && (
+        <div className="bg-amber-50 border border-amber-500 text-amber-900 px-4 py-3 rounded mb-4">
+          <p className="font-medium">Which places did you mean?</p>
+          {pendingChoice.coordinates.map((coord, idx) => coord.choices && (
+            <fieldset key={pendingChoice.participants[idx].id} className="mt-2">
+              <legend className="text-sm font-medium text-amber-800">
+                {getParticipantLabel(pendingChoice.participants[idx], idx)}: "{coord.originalAddress}"
+              </legend>
+              {coord.choices.map((choice, choiceIdx) => (
+                <label key={choiceIdx} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="radio"
+                    className="accent-amber-700"
+                    name={`${pendingChoice.participants[idx].id}-choice`}
+                    checked={pendingChoice.selections[idx] === choiceIdx}
+                    onChange={() => setPendingChoice(prev => ({ ...prev, selections: { ...prev.selections, [idx]: choiceIdx } }))}
+                  />
+                  {choice.formattedAddress}
+                </label>
+              ))}
+            </fieldset>
+          ))}
+          <p className="text-xs text-amber-700 mt-2">Not listed? Add a city, state or postcode to the address and search again.</p>
+          <div className="flex gap-2 mt-2">
+            <button
+              type="button"
+              className="py-1 px-3 rounded text-sm font-medium bg-amber-700 hover:bg-amber-800 text-amber-50"
+              onClick={confirmChoices}
+            >
+              Use these
+            </button>
+            <button
+              type="button"
+              className="py-1 px-3 rounded text-sm font-medium bg-amber-200 hover:bg-amber-300 text-amber-900"
+              onClick={() => setPendingChoice(null)}
+            >
+              Cancel
+            </button>
+          </div>
         </div>
       )}
       
@@ -185,47 +478,346 @@ const AddressForm = memo(function AddressForm({ onCoordsUpdate }) {
         </div>
       )}
       
-      {/* Show request stats warning */}
-      {serverAvailable && apiStats.total >= 40 && (
+      {/* Upstream outage warning */}
+      {serverAvailable && degradedServices.length > 0 && (
         <div className="bg-amber-200 border border-amber-500 text-amber-800 px-4 py-3 rounded mb-4">
-          <p>You're approaching the API request limit. {apiStats.limit - apiStats.total} requests remaining.</p>
+          <p>Some map services are having trouble right now ({degradedServices.join(', ')}). Recent searches still work, but new lookups may fail for a little while.</p>
         </div>
       )}
       
-      <form onSubmit={handleSubmit} className="space-y-4">
-        <div>
-          <label htmlFor="address1" className="block text-sm font-medium text-amber-800 mb-1">
-            Address 1
+      {/* Show quota warning once 80% of today's requests are used */}
+      {serverAvailable && quota && quota.daily.remaining !== null && quota.daily.remaining <= quota.daily.limit * 0.2 && (
+        <div className="bg-amber-200 border border-amber-500 text-amber-800 px-4 py-3 rounded mb-4">
+          <p>You're approaching your daily request limit. {quota.daily.remaining} of {quota.daily.limit} requests remaining today.</p>
+        </div>
+      )}
+      
+      <form id="address-form" onSubmit={handleSubmit} className="space-y-4">
+        {participants.map((participant, idx) => (
+          <div key={participant.id} className="p-3 rounded border border-amber-200">
+            <div className="flex items-center justify-between mb-1">
+              <label htmlFor={`${participant.id}-address`} className="block text-sm font-medium text-amber-800">
+                {getParticipantLabel(participant, idx)}
+              </label>
+              <div className="flex gap-3">
+                {canUseGeolocation() && (
+                  <button
+                    type="button"
+                    className="text-sm text-amber-700 hover:text-amber-900 hover:underline disabled:opacity-50"
+                    onClick={() => fillCurrentLocation(participant.id)}
+                    disabled={isLoading || locatingId !== null}
+                  >
+                    {locatingId === participant.id ? 'Locating...' : 'Use my current location'}
+                  </button>
+                )}
+                {participants.length > MIN_PARTICIPANTS && (
+                  <button
+                    type="button"
+                    className="text-sm text-amber-700 hover:text-amber-900 hover:underline"
+                    onClick={() => removeParticipant(participant.id)}
+                    disabled={isLoading}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            </div>
+            <div className="flex gap-2 mb-2">
+              <input
+                id={`${participant.id}-name`}
+                type="text"
+                aria-label={`Name for participant ${idx + 1}`}
+                placeholder="Name (optional)"
+                className="border border-amber-300 p-2 w-1/3 rounded bg-amber-50 text-amber-900 focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+                value={participant.name}
+                onChange={(e) => updateParticipant(participant.id, 'name', e.target.value)}
+                disabled={isLoading}
+              />
+              <AddressInput
+                id={`${participant.id}-address`}
+                placeholder="e.g. 123 Main St, Anytown CA"
+                className="border border-amber-300 p-2 w-full rounded bg-amber-50 text-amber-900 focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+                value={participant.address}
+                onChange={(address) => changeAddress(participant.id, address)}
+                onSelect={(selection) => selectAddress(participant.id, selection)}
+                disabled={isLoading}
+              />
+            </div>
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              {/* Marker color picker */}
+              <div className="flex items-center gap-2" role="radiogroup" aria-label={`Marker color for participant ${idx + 1}`}>
+                <span className="text-xs text-amber-700">Marker:</span>
+                {PARTICIPANT_COLORS.map(color => (
+                  <button
+                    key={color.id}
+                    type="button"
+                    role="radio"
+                    aria-checked={participant.color === color.id}
+                    aria-label={color.label}
+                    title={color.label}
+                    className={`h-5 w-5 rounded-full ${color.swatchClass} ${
+                      participant.color === color.id ? 'ring-2 ring-offset-1 ring-amber-700' : ''
+                    }`}
+                    onClick={() => updateParticipant(participant.id, 'color', color.id)}
+                    disabled={isLoading}
+                  />
+                ))}
+              </div>
+              {/* Travel mode - used for this participant's route, travel times and fairness */}
+              <div className="flex items-center gap-2">
+                <label htmlFor={`${participant.id}-mode`} className="text-xs text-amber-700">Travels by:</label>
+                <select
+                  id={`${participant.id}-mode`}
+                  className="border border-amber-300 p-1 rounded bg-amber-50 text-sm text-amber-900 focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+                  value={participant.mode}
+                  onChange={(e) => updateParticipant(participant.id, 'mode', e.target.value)}
+                  disabled={isLoading}
+                >
+                  {TRAVEL_MODES.map(mode => (
+                    <option key={mode.id} value={mode.id}>{mode.icon} {mode.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </div>
+        ))}
+        <div className="flex items-center gap-2">
+          <label htmlFor="address-region" className="text-sm font-medium text-amber-800">
+            Country code (optional)
           </label>
           <input
-            id="address1"
+            id="address-region"
             type="text"
-            placeholder="e.g. 123 Main St, Anytown CA"
-            className="border border-amber-300 p-2 w-full rounded bg-amber-50 text-amber-900 focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent"
-            value={address1}
-            onChange={(e) => setAddress1(e.target.value)}
+            maxLength={2}
+            placeholder="e.g. us"
+            title="Addresses found in this country are preferred - a two-letter code such as us, gb or ca"
+            className="border border-amber-300 p-1 w-16 rounded bg-amber-50 text-amber-900 focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+            value={region}
+            onChange={(e) => setRegion(e.target.value.replace(/[^a-zA-Z]/g, '').toLowerCase())}
             disabled={isLoading}
           />
         </div>
+        {participants.length < MAX_PARTICIPANTS && (
+          <button
+            type="button"
+            className="w-full py-2 px-4 rounded font-medium border border-dashed border-amber-500 text-amber-800 hover:bg-amber-200"
+            onClick={addParticipant}
+            disabled={isLoading}
+          >
+            + Add participant
+          </button>
+        )}
+        {/* Midpoint strategy - switching re-centers the search without another geocode */}
         <div>
-          <label htmlFor="address2" className="block text-sm font-medium text-amber-800 mb-1">
-            Address 2
+          <label htmlFor="midpoint-strategy" className="block text-sm font-medium text-amber-800 mb-1">
+            Meeting point
           </label>
-          <input
-            id="address2"
-            type="text"
-            placeholder="e.g. 456 Oak Ave, Othertown CA"
+          <select
+            id="midpoint-strategy"
             className="border border-amber-300 p-2 w-full rounded bg-amber-50 text-amber-900 focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent"
-            value={address2}
-            onChange={(e) => setAddress2(e.target.value)}
+            value={midpointStrategy}
+            onChange={(e) => onMidpointStrategyChange(e.target.value)}
             disabled={isLoading}
-          />
+          >
+            {Object.entries(MIDPOINT_STRATEGIES).map(([id, strategy]) => (
+              <option key={id} value={id}>{strategy.label}</option>
+            ))}
+          </select>
+          <p className="text-xs text-amber-700 mt-1">
+            {MIDPOINT_STRATEGIES[midpointStrategy].description}
+          </p>
+        </div>
+        {/* Departure time - lets routes and travel times allow for traffic and transit timetables */}
+        <div>
+          <label htmlFor="departure-time" className="block text-sm font-medium text-amber-800 mb-1">
+            Leaving at (optional)
+          </label>
+          <div className="flex gap-2">
+            <input
+              id="departure-time"
+              type="datetime-local"
+              className="border border-amber-300 p-2 w-full rounded bg-amber-50 text-amber-900 focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+              value={departureSetting}
+              onChange={(e) => setDepartureSetting(e.target.value)}
+              disabled={isLoading}
+            />
+            {departureSetting && (
+              <button
+                type="button"
+                className="text-sm text-amber-700 hover:text-amber-900 hover:underline"
+                onClick={() => setDepartureSetting('')}
+                disabled={isLoading}
+              >
+                Now
+              </button>
+            )}
+          </div>
+          <p className="text-xs text-amber-700 mt-1">
+            Leave empty to travel now. Times that have passed are treated as now.
+          </p>
+        </div>
+        {/* Categories - results for every selected category are shown together */}
+        <div>
+          <span id="venue-categories-label" className="block text-sm font-medium text-amber-800 mb-1">
+            Looking for
+          </span>
+          <div className="flex flex-wrap gap-2" role="group" aria-labelledby="venue-categories-label">
+            {VENUE_CATEGORIES.map(category => {
+              const isSelected = selectedCategories.includes(category.id);
+              return (
+                <button
+                  key={category.id}
+                  type="button"
+                  aria-pressed={isSelected}
+                  className={`flex items-center gap-1 py-1 px-2 rounded-full text-sm border ${
+                    isSelected
+                      ? 'bg-amber-700 border-amber-700 text-amber-50'
+                      : 'bg-amber-50 border-amber-300 text-amber-900 hover:bg-amber-200'
+                  }`}
+                  onClick={() => toggleCategory(category.id)}
+                  disabled={isLoading}
+                >
+                  <span className={`h-3 w-3 rounded-full ${category.swatchClass}`}></span>
+                  {category.label}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+        {/* Search radius - widened step by step up to the maximum when nothing is found */}
+        <div className="grid grid-cols-3 gap-2">
+          <div>
+            <label htmlFor="search-radius" className="block text-sm font-medium text-amber-800 mb-1">
+              Search within
+            </label>
+            <input
+              id="search-radius"
+              type="number"
+              min="0.1"
+              step="0.1"
+              className="border border-amber-300 p-2 w-full rounded bg-amber-50 text-amber-900 focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+              value={radiusSettings.radius || ''}
+              onChange={(e) => setRadiusSettings(prev => ({ ...prev, radius: parseFloat(e.target.value) || 0 }))}
+              disabled={isLoading}
+            />
+          </div>
+          <div>
+            <label htmlFor="search-max-radius" className="block text-sm font-medium text-amber-800 mb-1">
+              Widen up to
+            </label>
+            <input
+              id="search-max-radius"
+              type="number"
+              min="0.1"
+              step="0.1"
+              className="border border-amber-300 p-2 w-full rounded bg-amber-50 text-amber-900 focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+              value={radiusSettings.maxRadius || ''}
+              onChange={(e) => setRadiusSettings(prev => ({ ...prev, maxRadius: parseFloat(e.target.value) || 0 }))}
+              disabled={isLoading}
+            />
+          </div>
+          <div>
+            <label htmlFor="search-radius-unit" className="block text-sm font-medium text-amber-800 mb-1">
+              Units
+            </label>
+            <select
+              id="search-radius-unit"
+              className="border border-amber-300 p-2 w-full rounded bg-amber-50 text-amber-900 focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+              value={radiusSettings.unit}
+              onChange={(e) => changeRadiusUnit(e.target.value)}
+              disabled={isLoading}
+            >
+              {Object.entries(RADIUS_UNITS).map(([id, unit]) => (
+                <option key={id} value={id}>{unit.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        {/* Filters - places without a price, rating or opening hours are left out when that filter is set */}
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label htmlFor="filter-min-price" className="block text-sm font-medium text-amber-800 mb-1">
+              Price from
+            </label>
+            <select
+              id="filter-min-price"
+              className="border border-amber-300 p-2 w-full rounded bg-amber-50 text-amber-900 focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+              value={filterSettings.minPrice}
+              onChange={(e) => setFilterSettings(prev => ({ ...prev, minPrice: e.target.value === '' ? '' : Number(e.target.value) }))}
+              disabled={isLoading}
+            >
+              <option value="">Any</option>
+              {PRICE_LEVELS.map(level => (
+                <option key={level.value} value={level.value}>{level.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="filter-max-price" className="block text-sm font-medium text-amber-800 mb-1">
+              Price up to
+            </label>
+            <select
+              id="filter-max-price"
+              className="border border-amber-300 p-2 w-full rounded bg-amber-50 text-amber-900 focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+              value={filterSettings.maxPrice}
+              onChange={(e) => setFilterSettings(prev => ({ ...prev, maxPrice: e.target.value === '' ? '' : Number(e.target.value) }))}
+              disabled={isLoading}
+            >
+              <option value="">Any</option>
+              {PRICE_LEVELS.map(level => (
+                <option key={level.value} value={level.value}>{level.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="filter-min-rating" className="block text-sm font-medium text-amber-800 mb-1">
+              Rated at least
+            </label>
+            <select
+              id="filter-min-rating"
+              className="border border-amber-300 p-2 w-full rounded bg-amber-50 text-amber-900 focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+              value={filterSettings.minRating}
+              onChange={(e) => setFilterSettings(prev => ({ ...prev, minRating: e.target.value === '' ? '' : Number(e.target.value) }))}
+              disabled={isLoading}
+            >
+              <option value="">Any rating</option>
+              {RATING_OPTIONS.map(rating => (
+                <option key={rating} value={rating}>{rating} ★</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="filter-min-reviews" className="block text-sm font-medium text-amber-800 mb-1">
+              Reviews at least
+            </label>
+            <input
+              id="filter-min-reviews"
+              type="number"
+              min="0"
+              step="1"
+              placeholder="Any"
+              className="border border-amber-300 p-2 w-full rounded bg-amber-50 text-amber-900 focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+              value={filterSettings.minReviews}
+              onChange={(e) => setFilterSettings(prev => ({ ...prev, minReviews: e.target.value === '' ? '' : Math.max(0, parseInt(e.target.value) || 0) }))}
+              disabled={isLoading}
+            />
+          </div>
+          <label className="col-span-2 flex items-center gap-2 text-sm font-medium text-amber-800">
+            <input
+              type="checkbox"
+              className="accent-amber-700"
+              checked={filterSettings.openNow}
+              onChange={(e) => setFilterSettings(prev => ({ ...prev, openNow: e.target.checked }))}
+              disabled={isLoading}
+            />
+            Open now
+          </label>
         </div>
-        <button 
-          type="submit" 
+        <button
+          type="submit"
           className={`w-full py-2 px-4 rounded font-medium ${
-            isLoading 
-              ? 'bg-amber-400 cursor-not-allowed' 
+            isLoading
+              ? 'bg-amber-400 cursor-not-allowed'
               : 'bg-amber-700 hover:bg-amber-800 text-amber-50'
           }`}
           disabled={isLoading}
@@ -233,7 +825,7 @@ const AddressForm = memo(function AddressForm({ onCoordsUpdate }) {
           {isLoading ? 'Finding Midpoint...' : 'Find Midpoint'}
         </button>
         <p className="text-sm text-amber-700 mt-2 text-center">
-          This will find restaurants in a 1-mile radius of the midpoint
+          This will find {describeCategories(selectedCategories)} within {formatRadius(toMeters(radiusSettings.radius, radiusSettings.unit), radiusSettings.unit)} of the midpoint
         </p>
       </form>
     </div>
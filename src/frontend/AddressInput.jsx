@@ -0,0 +1,142 @@
+import React, { useState, useEffect, useRef, useCallback, memo } from 'react';
+import { MIN_SUGGESTION_INPUT, SUGGESTION_DELAY, createSessionToken, fetchSuggestions } from './addressLookup';
+
+// Address box with a suggestion dropdown - a combobox following the WAI-ARIA pattern
+// Arrow keys move through suggestions, Enter picks one and Escape closes the list.
+// onChange(address) is called for typing, onSelect({ address, placeId, sessionToken }) for a picked suggestion
+const AddressInput = memo(function AddressInput({ id, value, onChange, onSelect, disabled, placeholder, className }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  // Only typed input is looked up - not text filled in by picking a suggestion
+  const [query, setQuery] = useState('');
+  // One session per address, from the first keystroke until a suggestion is picked
+  const sessionTokenRef = useRef(null);
+  const listId = `${id}-suggestions`;
+  
+  // Look up suggestions once typing pauses, dropping any answer to an older input
+  useEffect(() => {
+    if (query.trim().length < MIN_SUGGESTION_INPUT) {
+      setSuggestions([]);
+      return;
+    }
+    
+    const controller = new AbortController();
+    const timeoutId = setTimeout(async () => {
+      if (!sessionTokenRef.current) {
+        sessionTokenRef.current = createSessionToken();
+      }
+      try {
+        const predictions = await fetchSuggestions(query, sessionTokenRef.current, controller.signal);
+        setSuggestions(predictions);
+        setActiveIndex(-1);
+        setIsOpen(predictions.length > 0);
+      } catch (error) {
+        // Suggestions are a convenience - the address can still be looked up as typed
+        if (error.name !== 'AbortError') {
+          console.error('Error fetching address suggestions:', error);
+          setSuggestions([]);
+        }
+      }
+    }, SUGGESTION_DELAY);
+    
+    return () => {
+      clearTimeout(timeoutId);
+      controller.abort();
+    };
+  }, [query]);
+  
+  const handleChange = useCallback((e) => {
+    setQuery(e.target.value);
+    onChange(e.target.value);
+  }, [onChange]);
+  
+  const selectSuggestion = useCallback((suggestion) => {
+    onSelect({ address: suggestion.description, placeId: suggestion.place_id, sessionToken: sessionTokenRef.current });
+    // The details lookup ends this session - further typing starts a new one
+    sessionTokenRef.current = null;
+    setQuery('');
+    setSuggestions([]);
+    setIsOpen(false);
+    setActiveIndex(-1);
+  }, [onSelect]);
+  
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (suggestions.length === 0) return;
+      e.preventDefault();
+      setIsOpen(true);
+      // Stepping past either end goes back to the typed text (index -1)
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      const positions = suggestions.length + 1;
+      setActiveIndex(prev => ((prev + 1 + step + positions) % positions) - 1);
+    } else if (e.key === 'Enter') {
+      // Enter picks the highlighted suggestion instead of submitting the form
+      if (isOpen && activeIndex >= 0 && suggestions[activeIndex]) {
+        e.preventDefault();
+        selectSuggestion(suggestions[activeIndex]);
+      }
+    } else if (e.key === 'Escape') {
+      if (isOpen) {
+        e.preventDefault();
+        setIsOpen(false);
+        setActiveIndex(-1);
+      }
+    }
+  }, [suggestions, isOpen, activeIndex, selectSuggestion]);
+  
+  const showList = isOpen && suggestions.length > 0 && !disabled;
+  
+  return (
+    <div className="relative flex-1 min-w-0">
+      <input
+        id={id}
+        type="text"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showList}
+        aria-controls={listId}
+        aria-activedescendant={showList && activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+        autoComplete="off"
+        placeholder={placeholder}
+        className={className}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setIsOpen(false)}
+        onFocus={() => setIsOpen(suggestions.length > 0)}
+        disabled={disabled}
+      />
+      <ul
+        id={listId}
+        role="listbox"
+        aria-label="Address suggestions"
+        className={`absolute z-10 left-0 right-0 mt-1 max-h-60 overflow-auto rounded border border-amber-300 bg-amber-50 shadow-md ${showList ? '' : 'hidden'}`}
+      >
+        {suggestions.map((suggestion, idx) => (
+          <li
+            key={suggestion.place_id}
+            id={`${listId}-${idx}`}
+            role="option"
+            aria-selected={idx === activeIndex}
+            className={`cursor-pointer px-2 py-1 text-sm text-amber-900 ${idx === activeIndex ? 'bg-amber-200' : 'hover:bg-amber-100'}`}
+            // Pick on mousedown so the input's blur doesn't close the list first
+            onMouseDown={(e) => {
+              e.preventDefault();
+              selectSuggestion(suggestion);
+            }}
+            onMouseEnter={() => setActiveIndex(idx)}
+          >
+            <span className="font-medium">{suggestion.main_text || suggestion.description}</span>
+            {suggestion.secondary_text && <span className="text-amber-700"> {suggestion.secondary_text}</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+});
+
+// Add display name for better debugging
+AddressInput.displayName = 'AddressInput';
+
+export default AddressInput;
\ No newline at end of file
@@ -1,6 +1,13 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { GoogleMap, LoadScript, Marker, Circle } from '@react-google-maps/api';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { GoogleMap, LoadScript, Marker, Circle, Polyline } from '@react-google-maps/api';
 import RestaurantInfoWindow from './RestaurantInfoWindow';
+import { getParticipantColor } from './participants';
+import { computeMidpoint, destinationPoint } from '../shared/geometry';
+import { errorFromResponse, describeError } from './apiErrors';
+import { formatRadius, toMeters } from './searchRadius';
+import { describeCategories, getPlaceCategory } from './categories';
+import { filtersQueryString } from './placeFilters';
+import { fetchDirections } from './directions';
 
 // Define static values outside component to prevent re-creation
 const containerStyle = {
@@ -8,7 +15,7 @@ const containerStyle = {
   height: '500px'
 };
 
-// Circle options for the 1-mile radius
+// Circle options for the search radius
 const circleOptions = {
   strokeColor: '#FF0000',
   strokeOpacity: 0.8,
@@ -22,11 +29,37 @@ const circleOptions = {
   zIndex: 1
 };
 
+// Each participant's route to the selected place, drawn in their color
+const routeOptions = {
+  strokeOpacity: 0.8,
+  strokeWeight: 4,
+  clickable: false,
+  zIndex: 2
+};
+
 // Define libraries array with correct type
 const libraries = ['places'];
 
-// 1 mile in meters (for the circle radius)
-const ONE_MILE_IN_METERS = 1609.34;
+// Google returns at most 60 places (three pages of 20) for a search
+const MAX_RESULTS = 60;
+
+// Add a page of places to the list, skipping ones already there (a place can turn up under
+// more than one category) and stopping at MAX_RESULTS
+function appendPlaces(places, newPlaces) {
+  const byId = new Map(places.map(place => [place.place_id, place]));
+  
+  for (const place of newPlaces) {
+    const existing = byId.get(place.place_id);
+    if (existing) {
+      const categories = [...new Set([...(existing.categories || []), ...(place.categories || [])])];
+      byId.set(place.place_id, { ...existing, categories });
+    } else if (byId.size < MAX_RESULTS) {
+      byId.set(place.place_id, place);
+    }
+  }
+  
+  return [...byId.values()];
+}
 
 // Helper function to safely get lat/lng from location
 function getPosition(location) {
@@ -64,12 +97,37 @@ function getPosition(location) {
 }
 
 // Renamed from Map to MapView to avoid collision with JavaScript's Map
-function MapView({ coords, onRestaurantsUpdate, selectedRestaurant, onRestaurantSelect }) {
+function MapView({ coords, midpointStrategy, searchRadius, onSearchRadiusResolved, categories, placeFilters, departureTime, onRestaurantsUpdate, onPaginationChange, selectedRestaurant, onRestaurantSelect }) {
   const [restaurants, setRestaurants] = useState([]);
   const [map, setMap] = useState(null);
   const [infoWindowRestaurant, setInfoWindowRestaurant] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  // { message, hint, canRetry } - see describeError
   const [error, setError] = useState(null);
+  // Bumped by the "Try again" button to re-run the restaurant search
+  const [retryCount, setRetryCount] = useState(0);
+  // Token for the next page of each category's results, while there are more to load
+  const [pageTokens, setPageTokens] = useState({});
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+  // Changes with every new search, so pages that arrive after the search changed are dropped
+  const searchIdRef = useRef(0);
+  // Each participant's route to the selected place, in participant order - see fetchDirections
+  const [routes, setRoutes] = useState([]);
+  const [isLoadingRoutes, setIsLoadingRoutes] = useState(false);
+  
+  // Requested radius and how far the search may widen, in meters
+  const radiusMeters = toMeters(searchRadius.radius, searchRadius.unit);
+  const maxRadiusMeters = Math.max(radiusMeters, toMeters(searchRadius.maxRadius, searchRadius.unit));
+  // The radius that actually produced the results - the circle follows it
+  const [effectiveRadius, setEffectiveRadius] = useState(radiusMeters);
+  // Place types to search for, as sent to the server
+  const placeTypes = categories.join(',');
+  // Filter query parameters, e.g. "&minrating=4&opennow=true"
+  const filterParams = filtersQueryString(placeFilters);
+  // Participant locations and travel modes, so the server can rank places by how fairly they split the trip,
+  // e.g. "&participants=38.5,-121.4|38.6,-121.3&modes=driving,walking"
+  const participantParams = `&participants=${encodeURIComponent(coords.map(coord => `${coord.lat},${coord.lng}`).join('|'))}&modes=${coords.map(coord => coord.mode || '').join(',')}`;
   
   // Use a state to control whether to show the circle
   const [showCircle, setShowCircle] = useState(false);
@@ -113,7 +171,7 @@ function MapView({ coords, onRestaurantsUpdate, selectedRestaurant, onRestaurant
     // Immediate reset when coordinates change
     setShowCircle(false);
     
-    if (coords.length === 2) {
+    if (coords.length >= 2) {
       // Reset all relevant states
       setRestaurants([]);
       setInfoWindowRestaurant(null);
@@ -136,19 +194,56 @@ function MapView({ coords, onRestaurantsUpdate, selectedRestaurant, onRestaurant
     }
   }, [coords]);
 
-  // Calculate midpoint - memoized to avoid recalculation on every render
+  // Where the selected place is - routes are only looked up again when it moves, not when its details arrive
+  const selectedPosition = selectedRestaurant && selectedRestaurant.geometry ? getPosition(selectedRestaurant.geometry.location) : null;
+  const selectedLat = selectedPosition ? selectedPosition.lat : null;
+  const selectedLng = selectedPosition ? selectedPosition.lng : null;
+  
+  // Look up everyone's route to the selected place
+  useEffect(() => {
+    setRoutes([]);
+    if (selectedLat === null || coords.length < 2) {
+      setIsLoadingRoutes(false);
+      return;
+    }
+    
+    let cancelled = false;
+    setIsLoadingRoutes(true);
+    fetchDirections(coords, { lat: selectedLat, lng: selectedLng }, departureTime)
+      .then(result => {
+        if (!cancelled) setRoutes(result);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('Error fetching directions:', err);
+        const { message } = describeError(err);
+        setRoutes(coords.map(() => ({ error: message })));
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoadingRoutes(false);
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [coords, selectedLat, selectedLng, departureTime]);
+  
+  // Each participant's name, color and travel mode with their route, for the info window
+  const travel = useMemo(() => (routes.length === coords.length
+    ? coords.map((coord, idx) => ({ name: coord.name, color: coord.color, mode: coord.mode, ...routes[idx] }))
+    : null
+  ), [routes, coords]);
+
+  // Calculate midpoint with the selected strategy - memoized to avoid recalculation on every render
   const midpoint = useMemo(() => {
     if (coords.length >= 2) {
-      return {
-        lat: (coords[0].lat + coords[1].lat) / 2,
-        lng: (coords[0].lng + coords[1].lng) / 2
-      };
+      return computeMidpoint(coords, midpointStrategy);
     }
     return {
       lat: 38.5816, // Default to Sacramento, CA
       lng: -121.4944
     };
-  }, [coords]);
+  }, [coords, midpointStrategy]);
 
   // Map options - memoized to avoid recreating on every render
   const mapOptions = useMemo(() => ({
@@ -168,29 +263,44 @@ function MapView({ coords, onRestaurantsUpdate, selectedRestaurant, onRestaurant
   }, []);
 
   // Fetch nearby places from server API
-  const fetchNearbyPlaces = useCallback(async (lat, lng, radius = ONE_MILE_IN_METERS) => {
+  // The server widens the search up to maxRadius if nothing is found, reporting the radius it used as search_radius
+  // Results for several types come back merged, each place tagged with the categories it matched
+  // Filters are applied before widening, so the search widens until something passes them
+  // Places come back ranked best first, with each participant's distance to them
+  // signal lets the search be abandoned when it times out or is replaced
+  const fetchNearbyPlaces = useCallback(async (lat, lng, radius, maxRadius, types, filterParams, participantParams, signal) => {
     try {
-      console.log(`Fetching places near ${lat},${lng} with radius ${radius}m`);
-      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/places/nearby?lat=${lat}&lng=${lng}&radius=${radius}&type=restaurant`);
+      console.log(`Fetching ${types} near ${lat},${lng} with radius ${radius}m (up to ${maxRadius}m)`);
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/places/nearby?lat=${lat}&lng=${lng}&radius=${radius}&maxradius=${maxRadius}&type=${types}${filterParams}${participantParams}`, { credentials: 'include', signal });
       
       if (!response.ok) {
-        let errorMessage = 'Error fetching nearby places';
-        try {
-          const errorData = await response.json();
-          if (errorData && errorData.error) {
-            errorMessage = errorData.error;
-          }
-        } catch (jsonError) {
-          // If we can't parse JSON, use the response status text
-          errorMessage = `Server error: ${response.status} ${response.statusText}`;
-        }
-        throw new Error(errorMessage);
+        throw await errorFromResponse(response, 'Error fetching nearby places');
       }
       
       const data = await response.json();
       return data;
     } catch (error) {
-      console.error('Error fetching nearby places:', error);
+      if (error.name !== 'AbortError') {
+        console.error('Error fetching nearby places:', error);
+      }
+      throw error;
+    }
+  }, []);
+
+  // Fetch the next page of a search - the search location, filters and participants are sent again
+  // so the page comes back filtered, ranked and tagged with its category like the first one
+  const fetchNearbyPage = useCallback(async (pagetoken, type, lat, lng, radius, filterParams, participantParams) => {
+    try {
+      console.log(`Fetching the next page of ${type} results`);
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/places/nearby?pagetoken=${encodeURIComponent(pagetoken)}&type=${type}&lat=${lat}&lng=${lng}&radius=${radius}${filterParams}${participantParams}`, { credentials: 'include' });
+      
+      if (!response.ok) {
+        throw await errorFromResponse(response, 'Error fetching more places');
+      }
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching more places:', error);
       throw error;
     }
   }, []);
@@ -199,20 +309,10 @@ function MapView({ coords, onRestaurantsUpdate, selectedRestaurant, onRestaurant
   const fetchPlaceDetails = useCallback(async (placeId) => {
     try {
       console.log(`Fetching details for place ID: ${placeId}`);
-      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/places/details?placeid=${placeId}`);
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/places/details?placeid=${placeId}`, { credentials: 'include' });
       
       if (!response.ok) {
-        let errorMessage = 'Error fetching place details';
-        try {
-          const errorData = await response.json();
-          if (errorData && errorData.error) {
-            errorMessage = errorData.error;
-          }
-        } catch (jsonError) {
-          // If we can't parse JSON, use the response status text
-          errorMessage = `Server error: ${response.status} ${response.statusText}`;
-        }
-        throw new Error(errorMessage);
+        throw await errorFromResponse(response, 'Error fetching place details');
       }
       
       const data = await response.json();
@@ -233,42 +333,113 @@ function MapView({ coords, onRestaurantsUpdate, selectedRestaurant, onRestaurant
     setRestaurants([]);
     setIsLoading(true);
     setError(null);
+    setEffectiveRadius(radiusMeters);
+    setPageTokens({});
+    setIsLoadingMore(false);
+    setLoadMoreError(null);
+    searchIdRef.current++;
+    
+    // Abort the request if the search changes before it arrives, or it times out
+    const controller = new AbortController();
 
     // Set a timeout to cancel the request if it takes too long
     const timeoutId = setTimeout(() => {
+      controller.abort();
       setIsLoading(false);
-      setError('Request timed out. Please try again.');
+      setError({ message: 'Request timed out.', canRetry: true });
     }, 10000); // 10 second timeout
 
     // Fetch restaurants using server API
-    fetchNearbyPlaces(midpoint.lat, midpoint.lng, ONE_MILE_IN_METERS)
+    fetchNearbyPlaces(midpoint.lat, midpoint.lng, radiusMeters, maxRadiusMeters, placeTypes, filterParams, participantParams, controller.signal)
       .then(data => {
+        if (controller.signal.aborted) return;
         clearTimeout(timeoutId);
         setIsLoading(false);
+        setError(null);
+        setEffectiveRadius(data.search_radius || radiusMeters);
         
         if (data.status === 'OK' && data.results) {
-          // Limit results to reduce API calls
-          const limitedResults = data.results.slice(0, 10);
-          console.log(`Found ${limitedResults.length} restaurants`);
+          // Several categories can return more than 60 places between them - keep the best-ranked
+          const limitedResults = data.results.slice(0, MAX_RESULTS);
+          console.log(`Found ${limitedResults.length} places`);
           setRestaurants(limitedResults);
+          setPageTokens(data.next_page_tokens || {});
         } else if (data.status === 'ZERO_RESULTS') {
-          console.log('No restaurants found in this area');
+          console.log('No places found in this area');
         } else {
           console.error('Places API error:', data.status);
-          setError(`Error getting restaurant data: ${data.status}`);
+          setError({ message: `Error getting place data: ${data.status}`, canRetry: true });
         }
       })
       .catch(err => {
+        // An aborted search was replaced, or has already reported its timeout
+        if (controller.signal.aborted) return;
         clearTimeout(timeoutId);
         setIsLoading(false);
-        setError(err.message || 'Error fetching restaurant data');
+        setError(describeError(err));
       });
     
     // Cleanup function to clear timeout
     return () => {
+      controller.abort();
       clearTimeout(timeoutId);
     };
-  }, [map, coords, midpoint, fetchNearbyPlaces]);
+  }, [map, coords, midpoint, fetchNearbyPlaces, retryCount, radiusMeters, maxRadiusMeters, placeTypes, filterParams, participantParams]);
+  
+  // Load the next page for every category that has one, adding the new places to the map and list
+  // The selection and the map view are left alone
+  const loadMore = useCallback(async () => {
+    const pending = Object.entries(pageTokens);
+    if (pending.length === 0 || isLoadingMore) return;
+    
+    const searchId = searchIdRef.current;
+    setIsLoadingMore(true);
+    setLoadMoreError(null);
+    
+    try {
+      const pages = await Promise.all(pending.map(([type, token]) =>
+        fetchNearbyPage(token, type, midpoint.lat, midpoint.lng, effectiveRadius, filterParams, participantParams)
+          .then(data => ({ type, data }))
+      ));
+      if (searchId !== searchIdRef.current) return;
+      
+      setRestaurants(prev => appendPlaces(prev, pages.flatMap(({ data }) => data.results || [])));
+      setPageTokens(Object.fromEntries(pages
+        .filter(({ data }) => data.next_page_token)
+        .map(({ type, data }) => [type, data.next_page_token])));
+    } catch (err) {
+      if (searchId !== searchIdRef.current) return;
+      setLoadMoreError(describeError(err));
+    } finally {
+      if (searchId === searchIdRef.current) {
+        setIsLoadingMore(false);
+      }
+    }
+  }, [pageTokens, isLoadingMore, fetchNearbyPage, midpoint, effectiveRadius, filterParams, participantParams]);
+  
+  // Let the parent know whether there are more places to load, so the list can offer a "Load more" button
+  useEffect(() => {
+    onPaginationChange({
+      hasMore: Object.keys(pageTokens).length > 0 && restaurants.length < MAX_RESULTS,
+      isLoadingMore,
+      error: loadMoreError,
+      loadMore
+    });
+  }, [pageTokens, restaurants.length, isLoadingMore, loadMoreError, loadMore, onPaginationChange]);
+  
+  // Let the parent know the radius in use, and zoom the map to fit it
+  useEffect(() => {
+    onSearchRadiusResolved(effectiveRadius);
+    
+    if (map && coords.length >= 2) {
+      map.fitBounds({
+        north: destinationPoint(midpoint, 0, effectiveRadius).lat,
+        south: destinationPoint(midpoint, 180, effectiveRadius).lat,
+        east: destinationPoint(midpoint, 90, effectiveRadius).lng,
+        west: destinationPoint(midpoint, 270, effectiveRadius).lng
+      });
+    }
+  }, [map, coords, midpoint, effectiveRadius, onSearchRadiusResolved]);
 
   // Handle restaurant marker click to get detailed information
   const handleRestaurantClick = useCallback((restaurant) => {
@@ -328,8 +499,8 @@ function MapView({ coords, onRestaurantsUpdate, selectedRestaurant, onRestaurant
 
   // Generate a unique key for this set of coordinates
   const coordsKey = useMemo(() => {
-    if (coords.length !== 2) return 'no-coords';
-    return `${coords[0].lat.toFixed(6)}-${coords[0].lng.toFixed(6)}-${coords[1].lat.toFixed(6)}-${coords[1].lng.toFixed(6)}`;
+    if (coords.length < 2) return 'no-coords';
+    return coords.map(coord => `${coord.lat.toFixed(6)}-${coord.lng.toFixed(6)}`).join('-');
   }, [coords]);
 
   return (
@@ -346,13 +517,14 @@ function MapView({ coords, onRestaurantsUpdate, selectedRestaurant, onRestaurant
           options={mapOptions}
           key={coordsKey} // Add a key to force remount of the map when coords change
         >
-          {/* Original markers for the two addresses */}
+          {/* Participant markers in each participant's chosen color */}
           {coords.map((coord, idx) => (
             <Marker 
               key={`address-${idx}-${coordsKey}`}
-              position={coord}
+              position={{ lat: coord.lat, lng: coord.lng }}
+              title={coord.name || coord.originalAddress}
               icon={{
-                url: idx === 0 ? 'http://maps.google.com/mapfiles/ms/icons/blue-dot.png' : 'http://maps.google.com/mapfiles/ms/icons/green-dot.png'
+                url: getParticipantColor(coord.color).markerUrl
               }}
             />
           ))}
@@ -369,17 +541,17 @@ function MapView({ coords, onRestaurantsUpdate, selectedRestaurant, onRestaurant
             />
           )}
 
-          {/* 1-mile radius circle - only shown when showCircle is true */}
+          {/* Search radius circle - only shown when showCircle is true */}
           {coords.length >= 2 && showCircle && (
             <Circle
               key={`circle-${coordsKey}`}
               center={midpoint}
-              radius={ONE_MILE_IN_METERS}
+              radius={effectiveRadius}
               options={circleOptions}
             />
           )}
 
-          {/* Restaurant markers - updated to handle both location types */}
+          {/* Place markers, in their category's icon - updated to handle both location types */}
           {restaurants.map((restaurant, idx) => {
             // Use our helper function to get position regardless of format
             const position = restaurant.geometry && restaurant.geometry.location 
@@ -397,10 +569,10 @@ function MapView({ coords, onRestaurantsUpdate, selectedRestaurant, onRestaurant
                   icon={{
                     url: isSelected 
                       ? 'http://maps.google.com/mapfiles/ms/icons/purple-dot.png'
-                      : 'http://maps.google.com/mapfiles/ms/icons/yellow-dot.png',
+                      : getPlaceCategory(restaurant).markerUrl,
                     scaledSize: new google.maps.Size(isSelected ? 40 : 30, isSelected ? 40 : 30)
                   }}
-                  title={restaurant.name || `Restaurant ${idx + 1}`}
+                  title={restaurant.name || `${getPlaceCategory(restaurant).singular} ${idx + 1}`}
                   onClick={() => handleRestaurantClick(restaurant)}
                   animation={isSelected ? google.maps.Animation.BOUNCE : null}
                 />
@@ -409,6 +581,15 @@ function MapView({ coords, onRestaurantsUpdate, selectedRestaurant, onRestaurant
             return null; // Skip this restaurant if it doesn't have valid location data
           })}
 
+          {/* Routes from each participant to the selected place */}
+          {routes.map((route, idx) => route.path && coords[idx] && (
+            <Polyline
+              key={`route-${idx}-${coordsKey}`}
+              path={route.path}
+              options={{ ...routeOptions, strokeColor: getParticipantColor(coords[idx].color).routeColor }}
+            />
+          ))}
+
           {/* Restaurant info window - updated to handle both location types */}
           {infoWindowRestaurant && infoWindowRestaurant.geometry && 
            infoWindowRestaurant.geometry.location && (
@@ -416,6 +597,9 @@ function MapView({ coords, onRestaurantsUpdate, selectedRestaurant, onRestaurant
               key={`info-${infoWindowRestaurant.place_id}-${coordsKey}`}
               restaurant={infoWindowRestaurant}
               position={getPosition(infoWindowRestaurant.geometry.location)}
+              travel={travel}
+              isLoadingTravel={isLoadingRoutes}
+              unit={searchRadius.unit}
               onClose={() => {
                 setInfoWindowRestaurant(null);
                 onRestaurantSelect(null);
@@ -428,19 +612,41 @@ function MapView({ coords, onRestaurantsUpdate, selectedRestaurant, onRestaurant
       {/* Status messages */}
       {isLoading && coords.length >= 2 && (
         <div className="mt-4 p-4 bg-yellow-50 border border-yellow-200 rounded text-center">
-          <p>Loading restaurants near the midpoint...</p>
+          <p>Loading {describeCategories(categories)} near the midpoint...</p>
         </div>
       )}
       
       {error && (
         <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded text-center">
-          <p>{error}</p>
+          <p>{error.message}</p>
+          {error.hint && <p className="text-sm mt-1">{error.hint}</p>}
+          {error.canRetry && (
+            <button
+              type="button"
+              onClick={() => setRetryCount(count => count + 1)}
+              className="mt-2 py-1 px-3 rounded text-sm font-medium bg-red-700 hover:bg-red-800 text-red-50"
+            >
+              Try again
+            </button>
+          )}
+        </div>
+      )}
+      
+      {!isLoading && !error && restaurants.length > 0 && effectiveRadius > radiusMeters && (
+        <div className="mt-4 p-4 bg-yellow-50 border border-yellow-200 rounded text-center">
+          <p>
+            Nothing turned up within {formatRadius(radiusMeters, searchRadius.unit)}, so the search was
+            widened to {formatRadius(effectiveRadius, searchRadius.unit)}.
+          </p>
         </div>
       )}
       
       {!isLoading && !error && restaurants.length === 0 && coords.length >= 2 && (
         <div className="mt-4 p-4 bg-gray-50 border border-gray-200 rounded text-center">
-          <p>No restaurants found within 1 mile of the midpoint.</p>
+          <p>
+            No {describeCategories(categories)} {filterParams ? 'matching your filters ' : ''}found within{' '}
+            {formatRadius(effectiveRadius, searchRadius.unit)} of the midpoint.
+          </p>
         </div>
       )}
     </>
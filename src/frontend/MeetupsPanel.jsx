@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useCallback, memo } from 'react';
+import { ERROR_CODES, describeError } from './apiErrors';
+import {
+  loadSavedMeetups,
+  storeSavedMeetups,
+  toMeetupFields,
+  meetupToSearch,
+  createMeetup,
+  fetchMeetup,
+  updateMeetup,
+  deleteMeetup
+} from './meetups';
+
+// "My meetups" - save the current search with a shortlist of its venues, and reopen, update or delete
+// the meetups saved in this browser
+// search is the current search ({ coords, midpointStrategy, ... }) or null if there isn't one yet
+const MeetupsPanel = memo(function MeetupsPanel({ search, meetingPoint, venues, onOpen }) {
+  const [savedMeetups, setSavedMeetups] = useState(loadSavedMeetups);
+  // Full meetups from the server by ID, for their shortlists
+  const [meetupDetails, setMeetupDetails] = useState({});
+  const [name, setName] = useState('');
+  // ID of the meetup being worked on, or 'new' while saving
+  const [busyId, setBusyId] = useState(null);
+  // { message, hint } - see describeError
+  const [error, setError] = useState(null);
+  
+  // Keep the list and localStorage in step
+  const updateSavedMeetups = useCallback((update) => {
+    setSavedMeetups(prev => {
+      const next = update(prev);
+      storeSavedMeetups(next);
+      return next;
+    });
+  }, []);
+  
+  // Drop a meetup that's been deleted, here or elsewhere
+  const forgetMeetup = useCallback((id) => {
+    updateSavedMeetups(prev => prev.filter(meetup => meetup.id !== id));
+  }, [updateSavedMeetups]);
+  
+  // Load each saved meetup's latest name and shortlist once
+  useEffect(() => {
+    loadSavedMeetups().forEach(saved => {
+      fetchMeetup(saved.id)
+        .then(meetup => {
+          setMeetupDetails(prev => ({ ...prev, [meetup.id]: meetup }));
+          updateSavedMeetups(prev => prev.map(item => (item.id === meetup.id ? { ...item, name: meetup.name } : item)));
+        })
+        .catch(err => {
+          if (err.code === ERROR_CODES.NOT_FOUND) {
+            forgetMeetup(saved.id);
+          }
+        });
+    });
+  }, [updateSavedMeetups, forgetMeetup]);
+  
+  const handleSave = useCallback(async (e) => {
+    e.preventDefault();
+    if (!search || !name.trim()) return;
+    
+    setBusyId('new');
+    setError(null);
+    try {
+      const meetup = await createMeetup({ name: name.trim(), ...toMeetupFields(search, meetingPoint, venues) });
+      updateSavedMeetups(prev => [{ id: meetup.id, name: meetup.name, editKey: meetup.editKey }, ...prev]);
+      setMeetupDetails(prev => ({ ...prev, [meetup.id]: meetup }));
+      setName('');
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setBusyId(null);
+    }
+  }, [search, name, meetingPoint, venues, updateSavedMeetups]);
+  
+  const handleOpen = useCallback(async (saved) => {
+    setBusyId(saved.id);
+    setError(null);
+    try {
+      const meetup = await fetchMeetup(saved.id);
+      setMeetupDetails(prev => ({ ...prev, [meetup.id]: meetup }));
+      const meetupSearch = meetupToSearch(meetup);
+      if (!meetupSearch) {
+        setError({ message: `"${meetup.name}" can't be opened - it doesn't have two participants with locations` });
+        return;
+      }
+      onOpen(meetupSearch);
+    } catch (err) {
+      if (err.code === ERROR_CODES.NOT_FOUND) forgetMeetup(saved.id);
+      setError(describeError(err));
+    } finally {
+      setBusyId(null);
+    }
+  }, [onOpen, forgetMeetup]);
+  
+  // Replace a meetup's participants, settings and shortlist with the current search
+  const handleUpdate = useCallback(async (saved) => {
+    if (!search) return;
+    
+    setBusyId(saved.id);
+    setError(null);
+    try {
+      const meetup = await updateMeetup(saved.id, saved.editKey, toMeetupFields(search, meetingPoint, venues));
+      setMeetupDetails(prev => ({ ...prev, [meetup.id]: meetup }));
+    } catch (err) {
+      if (err.code === ERROR_CODES.NOT_FOUND) forgetMeetup(saved.id);
+      setError(describeError(err));
+    } finally {
+      setBusyId(null);
+    }
+  }, [search, meetingPoint, venues, forgetMeetup]);
+  
+  const handleDelete = useCallback(async (saved) => {
+    setBusyId(saved.id);
+    setError(null);
+    try {
+      await deleteMeetup(saved.id, saved.editKey);
+      forgetMeetup(saved.id);
+    } catch (err) {
+      if (err.code === ERROR_CODES.NOT_FOUND) {
+        forgetMeetup(saved.id);
+      } else {
+        setError(describeError(err));
+      }
+    } finally {
+      setBusyId(null);
+    }
+  }, [forgetMeetup]);
+  
+  const buttonClass = 'py-1 px-2 rounded text-sm font-medium disabled:opacity-50';
+  
+  return (
+    <div className="mt-6 p-4 bg-white rounded-lg shadow-md">
+      <h3 className="text-lg font-semibold mb-2">My Meetups</h3>
+      
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-3 py-2 rounded mb-3 text-sm">
+          <p>{error.message}</p>
+          {error.hint && <p className="mt-1">{error.hint}</p>}
+        </div>
+      )}
+      
+      {search ? (
+        <form onSubmit={handleSave} className="flex gap-2 mb-3">
+          <label htmlFor="meetup-name" className="sr-only">Meetup name</label>
+          <input
+            id="meetup-name"
+            type="text"
+            maxLength={100}
+            placeholder="Name this meetup, e.g. Friday lunch"
+            className="border border-gray-300 p-2 flex-grow rounded text-sm focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            disabled={busyId !== null}
+          />
+          <button
+            type="submit"
+            className={`${buttonClass} bg-amber-700 hover:bg-amber-800 text-amber-50`}
+            disabled={busyId !== null || !name.trim()}
+          >
+            {busyId === 'new' ? 'Saving...' : 'Save'}
+          </button>
+        </form>
+      ) : (
+        <p className="text-sm text-gray-500 mb-3">Find a midpoint to save it as a meetup.</p>
+      )}
+      
+      {savedMeetups.length === 0 ? (
+        <p className="text-sm text-gray-500">Meetups you save show up here.</p>
+      ) : (
+        <ul className="space-y-2">
+          {savedMeetups.map(saved => {
+            const details = meetupDetails[saved.id];
+            return (
+              <li key={saved.id} className="border border-gray-200 rounded p-2">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium flex-grow truncate" title={saved.name}>{saved.name}</span>
+                  <button
+                    type="button"
+                    className={`${buttonClass} bg-green-700 hover:bg-green-800 text-green-50`}
+                    onClick={() => handleOpen(saved)}
+                    disabled={busyId !== null}
+                  >
+                    Open
+                  </button>
+                  {search && (
+                    <button
+                      type="button"
+                      title="Replace this meetup with the current search"
+                      className={`${buttonClass} bg-amber-200 hover:bg-amber-300 text-amber-900`}
+                      onClick={() => handleUpdate(saved)}
+                      disabled={busyId !== null}
+                    >
+                      Update
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    className={`${buttonClass} bg-gray-200 hover:bg-gray-300 text-gray-800`}
+                    onClick={() => handleDelete(saved)}
+                    disabled={busyId !== null}
+                  >
+                    Delete
+                  </button>
+                </div>
+                {details && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    {details.participants.length} people
+                    {details.venues.length > 0 && ` · Shortlist: ${details.venues.map(venue => venue.name).join(', ')}`}
+                  </p>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+// Add display name for better debugging
+MeetupsPanel.displayName = 'MeetupsPanel';
+
+export default MeetupsPanel;
\ No newline at end of file
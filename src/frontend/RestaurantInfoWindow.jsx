@@ -1,8 +1,12 @@
 import React, { memo, useMemo } from 'react';
 import { InfoWindow } from '@react-google-maps/api';
+import { getParticipantColor, getTravelMode } from './participants';
+import { formatDuration } from './directions';
+import { formatRadius } from './searchRadius';
 
 // Using memo to prevent unnecessary re-renders
-const RestaurantInfoWindow = memo(function RestaurantInfoWindow({ restaurant, position, onClose }) {
+// travel lists each participant's { name, color, mode, distance, duration } or { name, color, mode, error } to get here
+const RestaurantInfoWindow = memo(function RestaurantInfoWindow({ restaurant, position, travel, isLoadingTravel, unit, onClose }) {
   // Get photo URL safely - using server proxy endpoint
   const photoUrl = useMemo(() => {
     try {
@@ -137,6 +141,28 @@ const RestaurantInfoWindow = memo(function RestaurantInfoWindow({ restaurant, po
           {/* Opening hours */}
           {openingHours}
           
+          {/* How long it takes everyone to get here */}
+          {isLoadingTravel && (
+            <p className="mt-2 text-xs text-gray-500">Finding everyone's routes...</p>
+          )}
+          {travel && (
+            <div className="mt-2">
+              <p className="text-xs font-semibold text-gray-700">Getting there</p>
+              <ul className="text-xs text-gray-600">
+                {travel.map((person, idx) => (
+                  <li key={idx} className="flex items-center gap-1">
+                    <span className={`h-2 w-2 rounded-full ${getParticipantColor(person.color).swatchClass}`}></span>
+                    <span className="flex-grow truncate">{person.name}</span>
+                    <span title={getTravelMode(person.mode).label} aria-label={getTravelMode(person.mode).label}>{getTravelMode(person.mode).icon}</span>
+                    <span title={person.error}>
+                      {person.error ? 'No route' : `${formatDuration(person.duration)} · ${formatRadius(person.distance, unit)}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          
           {/* External links */}
           <div className="mt-2 space-y-1">
             {restaurant.website && (
@@ -0,0 +1,119 @@
+// Address suggestions while typing, resolving a picked suggestion to coordinates, and finding the
+// address of where you are
+// The server proxies them all (see /api/places/autocomplete, /api/places/details and /api/geocode/reverse).
+// The requests made while typing one address share a session token with the details lookup that ends them.
+import { ERROR_CODES, createApiError, errorFromResponse } from './apiErrors';
+
+const API_URL = `${import.meta.env.VITE_API_BASE_URL}/api/places`;
+
+// Suggestions start after this many characters, once typing pauses for SUGGESTION_DELAY ms
+export const MIN_SUGGESTION_INPUT = 3;
+export const SUGGESTION_DELAY = 250;
+
+// Recent suggestions by input, so deleting back to an earlier input doesn't ask again
+const SUGGESTION_CACHE_SIZE = 50;
+const suggestionCache = new Map();
+
+// A new autocomplete session token - randomUUID needs a secure context, so fall back to Math.random
+export function createSessionToken() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return Array.from({ length: 4 }, () => Math.random().toString(36).slice(2, 10)).join('-');
+}
+
+// [{ place_id, description, main_text, secondary_text }] for what's been typed so far
+// signal lets a newer keystroke abort a request that's still running
+export async function fetchSuggestions(input, sessionToken, signal) {
+  const key = input.trim().toLowerCase();
+  if (suggestionCache.has(key)) {
+    return suggestionCache.get(key);
+  }
+
+  const params = new URLSearchParams({ input: input.trim(), sessiontoken: sessionToken });
+  const response = await fetch(`${API_URL}/autocomplete?${params}`, { credentials: 'include', signal });
+  if (!response.ok) {
+    throw await errorFromResponse(response, 'Error fetching address suggestions');
+  }
+
+  const data = await response.json();
+  if (data.status !== 'OK' && data.status !== 'ZERO_RESULTS') {
+    throw new Error(`Address suggestion error: ${data.status}`);
+  }
+
+  const predictions = data.predictions || [];
+  suggestionCache.set(key, predictions);
+  if (suggestionCache.size > SUGGESTION_CACHE_SIZE) {
+    suggestionCache.delete(suggestionCache.keys().next().value);
+  }
+  return predictions;
+}
+
+// { lat, lng } for a picked suggestion - address is only used in error messages
+export async function resolvePlace(placeId, sessionToken, address) {
+  const params = new URLSearchParams({ placeid: placeId, fields: 'geometry' });
+  if (sessionToken) {
+    params.set('sessiontoken', sessionToken);
+  }
+
+  const response = await fetch(`${API_URL}/details?${params}`, { credentials: 'include' });
+  if (!response.ok) {
+    throw await errorFromResponse(response, `Error looking up "${address}"`);
+  }
+
+  const data = await response.json();
+  if (data.status === 'NOT_FOUND' || data.status === 'ZERO_RESULTS') {
+    throw createApiError(`Could not find the address: "${address}"`, ERROR_CODES.NOT_FOUND);
+  }
+  const location = data.status === 'OK' && data.result && data.result.geometry && data.result.geometry.location;
+  if (!location) {
+    throw new Error(`Place lookup error: ${data.status}`);
+  }
+  return { lat: location.lat, lng: location.lng };
+}
+
+// How long to wait for a position, and how old a remembered one may be (ms)
+const GEOLOCATION_TIMEOUT = 10000;
+const GEOLOCATION_MAX_AGE = 60000;
+
+export const canUseGeolocation = () => typeof navigator !== 'undefined' && 'geolocation' in navigator;
+
+// Messages for the browser's GeolocationPositionError codes
+const GEOLOCATION_ERRORS = {
+  1: "Location access is turned off for this site. Allow it in your browser's settings, or type the address.",
+  2: "Your location couldn't be worked out right now. Type the address instead.",
+  3: 'Finding your location took too long. Try again, or type the address.'
+};
+
+// { lat, lng } from the browser - rejects with a message people can act on
+export function getCurrentLocation() {
+  return new Promise((resolve, reject) => {
+    if (!canUseGeolocation()) {
+      reject(new Error("This browser can't share your location. Type the address instead."));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => resolve({ lat: position.coords.latitude, lng: position.coords.longitude }),
+      (error) => reject(new Error(GEOLOCATION_ERRORS[error.code] || GEOLOCATION_ERRORS[2])),
+      { enableHighAccuracy: false, timeout: GEOLOCATION_TIMEOUT, maximumAge: GEOLOCATION_MAX_AGE }
+    );
+  });
+}
+
+// The address at a location, or null if there's none to be found
+export async function reverseGeocode({ lat, lng }) {
+  const params = new URLSearchParams({ lat: String(lat), lng: String(lng) });
+  const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/geocode/reverse?${params}`, { credentials: 'include' });
+  if (!response.ok) {
+    throw await errorFromResponse(response, 'Error looking up your address');
+  }
+
+  const data = await response.json();
+  if (data.status === 'ZERO_RESULTS') {
+    return null;
+  }
+  if (data.status !== 'OK') {
+    throw new Error(`Reverse geocoding error: ${data.status}`);
+  }
+  return data.results[0]?.formatted_address || null;
+}
\ No newline at end of file
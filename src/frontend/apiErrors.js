@@ -0,0 +1,80 @@
+// Reading the server's error responses and turning them into messages people can act on
+// Failed requests come back as { error, code, retryAfter? } - see src/backend/errors.js
+
+export const ERROR_CODES = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  NOT_FOUND: 'NOT_FOUND',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  UPSTREAM_DENIED: 'UPSTREAM_DENIED',
+  UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+  STORAGE_FULL: 'STORAGE_FULL',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// An Error carrying the code and retryAfter (seconds) from the server
+export function createApiError(message, code, retryAfter) {
+  const error = new Error(message);
+  error.code = code;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+// Build an error from a failed response
+export async function errorFromResponse(response, fallbackMessage) {
+  const retryAfter = parseInt(response.headers.get('Retry-After')) || undefined;
+  try {
+    const data = await response.json();
+    return createApiError((data && data.error) || fallbackMessage, data && data.code, retryAfter);
+  } catch {
+    // If we can't parse JSON, use the response status text
+    return createApiError(`Server error: ${response.status} ${response.statusText}`, undefined, retryAfter);
+  }
+}
+
+// "30 seconds", "5 minutes", "3 hours"
+function formatWait(seconds) {
+  if (seconds < 90) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  if (seconds < 90 * 60) return `${Math.round(seconds / 60)} minutes`;
+  return `${Math.round(seconds / 3600)} hours`;
+}
+
+// Hints for something that wasn't found, by what was being looked up - a missing meetup or place
+// has nothing the person could change
+const NOT_FOUND_HINTS = {
+  address: 'Check the spelling, or add a city or postcode.'
+};
+
+// What to show for an error: { message, hint, canRetry }
+// lookup says what was being looked up (e.g. 'address'), for hints that only make sense there
+export function describeError(error, lookup) {
+  const retryHint = error.retryAfter ? `Try again in ${formatWait(error.retryAfter)}.` : 'Try again in a moment.';
+
+  switch (error.code) {
+    case ERROR_CODES.QUOTA_EXCEEDED:
+      return {
+        message: "You've used up your searches for now.",
+        hint: error.retryAfter ? `Your allowance resets in ${formatWait(error.retryAfter)}. Searches you've already made still work.` : null,
+        canRetry: false
+      };
+    case ERROR_CODES.RATE_LIMITED:
+      return { message: 'Lots of searches are happening right now.', hint: retryHint, canRetry: true };
+    case ERROR_CODES.UPSTREAM_UNAVAILABLE:
+      return { message: 'The map service is having trouble right now.', hint: retryHint, canRetry: true };
+    case ERROR_CODES.UPSTREAM_DENIED:
+      return {
+        message: 'The map service turned down our request.',
+        hint: "This is a problem on our end, not with your search. Please let the site's owner know.",
+        canRetry: false
+      };
+    case ERROR_CODES.STORAGE_FULL:
+      return { message: error.message, hint: "The search is still in this page's address - copy it to share the search instead.", canRetry: false };
+    case ERROR_CODES.UNAUTHORIZED:
+      return { message: "You can't change this.", hint: 'Only the browser that saved a meetup, or an admin, can edit or delete it.', canRetry: false };
+    case ERROR_CODES.NOT_FOUND:
+      return { message: error.message, hint: NOT_FOUND_HINTS[lookup] || null, canRetry: false };
+    default:
+      return { message: error.message || 'An unknown error occurred', hint: null, canRetry: true };
+  }
+}
\ No newline at end of file
@@ -0,0 +1,16 @@
+import { describe, it, expect } from 'vitest';
+import { createApiError, describeError, ERROR_CODES } from './apiErrors';
+
+describe('describeError', () => {
+  it('suggests checking the spelling only when an address wasn\'t found', () => {
+    const error = createApiError('Could not find the address: "12 Nowhere Rd"', ERROR_CODES.NOT_FOUND);
+    expect(describeError(error, 'address').hint).toBe('Check the spelling, or add a city or postcode.');
+    expect(describeError(createApiError('No meetup with that ID', ERROR_CODES.NOT_FOUND)).hint).toBeNull();
+  });
+
+  it('offers a retry with the wait for rate limits', () => {
+    const described = describeError(createApiError('Too many requests', ERROR_CODES.RATE_LIMITED, 30));
+    expect(described.hint).toBe('Try again in 30 seconds.');
+    expect(described.canRetry).toBe(true);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,31 @@
+// Venue categories people can search for around the midpoint
+// Each id is the place type sent to /api/places/nearby.
+// Restaurants keep the yellow dot; the other categories use pushpins so they can't be
+// mistaken for participant dots. Red and purple dots are reserved for the midpoint and the selected place.
+export const VENUE_CATEGORIES = [
+  { id: 'restaurant', label: 'Restaurants', singular: 'Restaurant', swatchClass: 'bg-yellow-300', markerUrl: 'http://maps.google.com/mapfiles/ms/icons/yellow-dot.png' },
+  { id: 'cafe', label: 'Cafes', singular: 'Cafe', swatchClass: 'bg-yellow-500', markerUrl: 'http://maps.google.com/mapfiles/ms/icons/ylw-pushpin.png' },
+  { id: 'bar', label: 'Bars', singular: 'Bar', swatchClass: 'bg-pink-500', markerUrl: 'http://maps.google.com/mapfiles/ms/icons/pink-pushpin.png' },
+  { id: 'park', label: 'Parks', singular: 'Park', swatchClass: 'bg-green-600', markerUrl: 'http://maps.google.com/mapfiles/ms/icons/grn-pushpin.png' },
+  { id: 'library', label: 'Libraries', singular: 'Library', swatchClass: 'bg-blue-600', markerUrl: 'http://maps.google.com/mapfiles/ms/icons/blue-pushpin.png' },
+  { id: 'coworking', label: 'Coworking spaces', singular: 'Coworking space', swatchClass: 'bg-sky-300', markerUrl: 'http://maps.google.com/mapfiles/ms/icons/ltblu-pushpin.png' }
+];
+
+export const DEFAULT_CATEGORIES = ['restaurant'];
+
+// Look up a category definition, falling back to restaurants
+export function getCategory(categoryId) {
+  return VENUE_CATEGORIES.find(category => category.id === categoryId) || VENUE_CATEGORIES[0];
+}
+
+// The category a place's marker and label use - the first one it was found under
+export function getPlaceCategory(place) {
+  return getCategory(place.categories && place.categories[0]);
+}
+
+// "restaurants", "cafes and bars", "parks, libraries and cafes"
+export function describeCategories(categoryIds) {
+  const labels = categoryIds.map(id => getCategory(id).label.toLowerCase());
+  if (labels.length <= 1) return labels[0] || 'places';
+  return `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+}
\ No newline at end of file
@@ -0,0 +1,54 @@
+// Each participant's route to the selected place - see /api/directions
+import { errorFromResponse } from './apiErrors';
+import { decodePolyline } from '../shared/polyline';
+
+// Seconds since the epoch for a departure time as the form keeps it ("2026-05-01T18:30", local time),
+// or undefined for leaving now
+export function toDepartureTimestamp(departureTime) {
+  if (!departureTime) return undefined;
+  const time = new Date(departureTime).getTime();
+  return Number.isFinite(time) ? Math.floor(time / 1000) : undefined;
+}
+
+// The participants as the routing endpoints take them - each travels by their own mode
+export function toRoutingParticipants(coords) {
+  return coords.map(coord => ({ lat: coord.lat, lng: coord.lng, mode: coord.mode }));
+}
+
+// Routes in participant order: { distance, duration, path } with distance in meters, duration in
+// seconds and path as [{ lat, lng }], or { error } for a participant with no route
+export async function fetchDirections(coords, destination, departureTime) {
+  const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/directions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      participants: toRoutingParticipants(coords),
+      destination,
+      departureTime: toDepartureTimestamp(departureTime)
+    }),
+    credentials: 'include'
+  });
+  if (!response.ok) {
+    throw await errorFromResponse(response, 'Error fetching directions');
+  }
+
+  const data = await response.json();
+  return data.routes.map(route => {
+    if (route.status !== 'OK') {
+      return { error: route.error || 'No route found' };
+    }
+    return {
+      distance: route.distance.value,
+      duration: route.duration.value,
+      path: decodePolyline(route.polyline)
+    };
+  });
+}
+
+// "8 min", "1 h 5 min"
+export function formatDuration(seconds) {
+  const minutes = Math.max(1, Math.round(seconds / 60));
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+}
\ No newline at end of file
@@ -0,0 +1,227 @@
+// Reading locations typed into an address box - coordinates and Plus Codes are understood here,
+// so they're searched from directly without a geocoding call or any quota
+//   "38.5816, -121.4944"             decimal degrees, latitude first
+//   "38°34'54\"N 121°29'40\"W"        degrees, minutes and seconds (or degrees and decimal minutes)
+//   "84CWHG2V+M6"                    a full Plus Code (Open Location Code)
+//   "HG2V+M6 Sacramento"             a short Plus Code, relative to a locality
+// Anything else is left to be geocoded as an address.
+
+// Open Location Code constants - see https://github.com/google/open-location-code
+const CODE_ALPHABET = '23456789CFGHJMPQRVWX';
+const ENCODING_BASE = CODE_ALPHABET.length;
+const SEPARATOR = '+';
+const SEPARATOR_POSITION = 8;
+const PADDING = '0';
+// Digits after the first 10 refine a 5 row by 4 column grid
+const PAIR_CODE_LENGTH = 10;
+const MAX_CODE_LENGTH = 15;
+const GRID_ROWS = 5;
+const GRID_COLUMNS = 4;
+const LATITUDE_MAX = 90;
+const LONGITUDE_MAX = 180;
+
+const clampLatitude = (lat) => Math.min(LATITUDE_MAX, Math.max(-LATITUDE_MAX, lat));
+
+function normalizeLongitude(lng) {
+  let normalized = lng;
+  while (normalized < -LONGITUDE_MAX) normalized += 360;
+  while (normalized >= LONGITUDE_MAX) normalized -= 360;
+  return normalized;
+}
+
+function isValidLocation(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= LATITUDE_MAX && Math.abs(lng) <= LONGITUDE_MAX;
+}
+
+// Whether a code is well formed, full or short - follows the reference implementation's rules
+function isValidPlusCode(code) {
+  const separatorIndex = code.indexOf(SEPARATOR);
+  if (separatorIndex === -1 || separatorIndex !== code.lastIndexOf(SEPARATOR)) return false;
+  if (separatorIndex > SEPARATOR_POSITION || separatorIndex % 2 === 1) return false;
+  // A single digit after the separator isn't allowed
+  if (code.length - separatorIndex - 1 === 1) return false;
+
+  const paddingIndex = code.indexOf(PADDING);
+  if (paddingIndex !== -1) {
+    // Padding only comes in pairs at the end of a full code's first part
+    if (separatorIndex < SEPARATOR_POSITION || paddingIndex === 0 || paddingIndex % 2 === 1) return false;
+    const padding = code.slice(paddingIndex, separatorIndex);
+    if (padding.length % 2 === 1 || /[^0]/.test(padding) || code.length > separatorIndex + 1) return false;
+  }
+
+  return [...code].every(char => char === SEPARATOR || char === PADDING || CODE_ALPHABET.includes(char));
+}
+
+function isShortPlusCode(code) {
+  return isValidPlusCode(code) && code.indexOf(SEPARATOR) < SEPARATOR_POSITION;
+}
+
+function isFullPlusCode(code) {
+  if (!isValidPlusCode(code) || isShortPlusCode(code)) return false;
+  // The first two digits must be within range of latitude and longitude
+  return CODE_ALPHABET.indexOf(code[0]) * ENCODING_BASE < LATITUDE_MAX * 2 &&
+    (code.length < 2 || CODE_ALPHABET.indexOf(code[1]) * ENCODING_BASE < LONGITUDE_MAX * 2);
+}
+
+// Center of a full Plus Code's area as { lat, lng }, or null if it isn't a full code
+export function decodePlusCode(value) {
+  const code = value.trim().toUpperCase();
+  if (!isFullPlusCode(code)) return null;
+
+  const digits = code.replace(SEPARATOR, '').replace(/0+$/, '').slice(0, MAX_CODE_LENGTH);
+  let lat = -LATITUDE_MAX;
+  let lng = -LONGITUDE_MAX;
+  // Each pair of digits narrows the area twentyfold, starting from 20 degree squares
+  let latResolution = ENCODING_BASE * ENCODING_BASE;
+  let lngResolution = ENCODING_BASE * ENCODING_BASE;
+
+  for (let i = 0; i < Math.min(digits.length, PAIR_CODE_LENGTH); i += 2) {
+    latResolution /= ENCODING_BASE;
+    lngResolution /= ENCODING_BASE;
+    lat += CODE_ALPHABET.indexOf(digits[i]) * latResolution;
+    lng += CODE_ALPHABET.indexOf(digits[i + 1]) * lngResolution;
+  }
+  for (let i = PAIR_CODE_LENGTH; i < digits.length; i++) {
+    latResolution /= GRID_ROWS;
+    lngResolution /= GRID_COLUMNS;
+    const index = CODE_ALPHABET.indexOf(digits[i]);
+    lat += Math.floor(index / GRID_COLUMNS) * latResolution;
+    lng += (index % GRID_COLUMNS) * lngResolution;
+  }
+
+  return {
+    lat: clampLatitude(lat + latResolution / 2),
+    lng: normalizeLongitude(lng + lngResolution / 2)
+  };
+}
+
+// The first digits of the Plus Code for a location - enough to fill in a short code's missing prefix
+function encodePrefix({ lat, lng }, length) {
+  // Latitude 90 would encode past the last row, so it's nudged just inside
+  let latValue = Math.min(clampLatitude(lat) + LATITUDE_MAX, LATITUDE_MAX * 2 - 1e-10);
+  let lngValue = normalizeLongitude(lng) + LONGITUDE_MAX;
+  let resolution = ENCODING_BASE;
+  let prefix = '';
+
+  for (let i = 0; i < length; i += 2) {
+    const latDigit = Math.floor(latValue / resolution);
+    const lngDigit = Math.floor(lngValue / resolution);
+    latValue -= latDigit * resolution;
+    lngValue -= lngDigit * resolution;
+    prefix += CODE_ALPHABET[latDigit] + CODE_ALPHABET[lngDigit];
+    resolution /= ENCODING_BASE;
+  }
+  return prefix;
+}
+
+// The location of a short Plus Code nearest a reference point, such as the center of its locality
+// Returns null if the code isn't a short (or full) Plus Code
+export function recoverShortPlusCode(value, reference) {
+  const code = value.trim().toUpperCase();
+  if (isFullPlusCode(code)) return decodePlusCode(code);
+  if (!isShortPlusCode(code)) return null;
+
+  // Fill in the missing digits from the reference point, then move to the neighbouring cell if
+  // that's closer - the reference may sit near the edge of its cell
+  const missingLength = SEPARATOR_POSITION - code.indexOf(SEPARATOR);
+  const resolution = Math.pow(ENCODING_BASE, 2 - missingLength / 2);
+  const halfResolution = resolution / 2;
+  const center = decodePlusCode(encodePrefix(reference, missingLength) + code);
+  let { lat, lng } = center;
+
+  if (reference.lat + halfResolution < lat && lat - resolution >= -LATITUDE_MAX) {
+    lat -= resolution;
+  } else if (reference.lat - halfResolution > lat && lat + resolution <= LATITUDE_MAX) {
+    lat += resolution;
+  }
+  if (reference.lng + halfResolution < lng) {
+    lng -= resolution;
+  } else if (reference.lng - halfResolution > lng) {
+    lng += resolution;
+  }
+
+  return { lat, lng: normalizeLongitude(lng) };
+}
+
+// Latitude or longitude in degrees, with optional minutes and seconds. ° is required unless
+// there's a hemisphere letter. Both hemispheres go before the numbers or both after - a letter
+// between the two would otherwise be ambiguous.
+const DMS_NUMBERS = String.raw`(-?\d{1,3}(?:\.\d+)?)\s*(°)?\s*(?:(\d{1,2}(?:\.\d+)?)\s*')?\s*(?:(\d{1,2}(?:\.\d+)?)\s*(?:"|''))?`;
+const DMS_PATTERNS = [
+  String.raw`([NSEW])?\s*${DMS_NUMBERS}()`,
+  String.raw`()${DMS_NUMBERS}\s*([NSEW])?`
+].map(part => new RegExp(String.raw`^${part}\s*[,;]?\s*${part}$`, 'i'));
+
+// Plain decimal degrees - split by a comma, or by a space when both have a decimal point,
+// so a street number followed by a postcode isn't mistaken for coordinates
+const DECIMAL_PATTERN = /^(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)$|^(-?\d{1,2}\.\d+)\s+(-?\d{1,3}\.\d+)$/;
+
+// Read one DMS coordinate from its regex groups - returns { value, hemisphere } or null
+function readDmsPart([prefix, degrees, degreeSign, minutes, seconds, suffix]) {
+  const hemisphere = (prefix || suffix || '').toUpperCase();
+  if (!degreeSign && !hemisphere) return null;
+  // Minutes and seconds only follow whole numbers, and stay under 60
+  if ((minutes !== undefined && degrees.includes('.')) || (seconds !== undefined && (minutes === undefined || minutes.includes('.')))) return null;
+  if (Number(minutes || 0) >= 60 || Number(seconds || 0) >= 60) return null;
+
+  const magnitude = Math.abs(Number(degrees)) + Number(minutes || 0) / 60 + Number(seconds || 0) / 3600;
+  const negative = degrees.startsWith('-') || hemisphere === 'S' || hemisphere === 'W';
+  if (degrees.startsWith('-') && hemisphere) return null;
+  return { value: negative ? -magnitude : magnitude, hemisphere };
+}
+
+function parseDms(text) {
+  const match = DMS_PATTERNS.map(pattern => pattern.exec(text)).find(Boolean);
+  if (!match) return null;
+
+  const first = readDmsPart(match.slice(1, 7));
+  const second = readDmsPart(match.slice(7, 13));
+  if (!first || !second) return null;
+
+  // Latitude comes first unless the hemispheres say otherwise
+  const isLongitude = (part) => part.hemisphere === 'E' || part.hemisphere === 'W';
+  const isLatitude = (part) => part.hemisphere === 'N' || part.hemisphere === 'S';
+  if ((isLatitude(first) && isLatitude(second)) || (isLongitude(first) && isLongitude(second))) return null;
+  const [lat, lng] = isLongitude(first) || isLatitude(second) ? [second.value, first.value] : [first.value, second.value];
+
+  return isValidLocation(lat, lng) ? { lat, lng } : null;
+}
+
+// { lat, lng } from decimal degrees or DMS, or null if the text isn't coordinates
+export function parseCoordinates(value) {
+  // Typographic primes and the ordinal sign are often typed for ' " and °
+  const text = value.trim().replace(/[′‘’]/g, "'").replace(/[″“”]/g, '"').replace(/º/g, '°');
+
+  const decimal = DECIMAL_PATTERN.exec(text);
+  if (decimal) {
+    const lat = Number(decimal[1] ?? decimal[3]);
+    const lng = Number(decimal[2] ?? decimal[4]);
+    return isValidLocation(lat, lng) ? { lat, lng } : null;
+  }
+  return parseDms(text);
+}
+
+// What a participant typed, if it's a location rather than an address:
+//   { kind: 'coordinates', lat, lng }
+//   { kind: 'plusCode', lat, lng } - a full Plus Code, any locality after it is ignored
+//   { kind: 'shortPlusCode', code, locality } - find the locality, then use recoverShortPlusCode
+// Returns null for anything else - including a short Plus Code with no locality to place it
+export function parseLocationInput(value) {
+  const coordinates = parseCoordinates(value);
+  if (coordinates) {
+    return { kind: 'coordinates', ...coordinates };
+  }
+
+  const match = /^([0-9A-Z]{2,8}\+[0-9A-Z]*)(?:[\s,]+(.*))?$/i.exec(value.trim());
+  if (!match) return null;
+
+  const code = match[1].toUpperCase();
+  const locality = (match[2] || '').trim();
+  if (isFullPlusCode(code)) {
+    return { kind: 'plusCode', ...decodePlusCode(code) };
+  }
+  if (isShortPlusCode(code) && locality) {
+    return { kind: 'shortPlusCode', code, locality };
+  }
+  return null;
+}
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { decodePlusCode, recoverShortPlusCode, parseCoordinates, parseLocationInput } from './locationInput';
+
+describe('parseCoordinates', () => {
+  it('reads decimal pairs split by a comma or a space', () => {
+    expect(parseCoordinates('38.5816, -121.4944')).toEqual({ lat: 38.5816, lng: -121.4944 });
+    expect(parseCoordinates('38.5816 -121.4944')).toEqual({ lat: 38.5816, lng: -121.4944 });
+    expect(parseCoordinates('-33,151')).toEqual({ lat: -33, lng: 151 });
+  });
+
+  it('rejects pairs out of range', () => {
+    expect(parseCoordinates('91.0, 10.0')).toBeNull();
+    expect(parseCoordinates('10.0, 181.0')).toBeNull();
+  });
+
+  it('reads DMS with hemisphere letters after the numbers', () => {
+    const { lat, lng } = parseCoordinates('38°34\'54"N 121°29\'40"W');
+    expect(lat).toBeCloseTo(38.581667, 6);
+    expect(lng).toBeCloseTo(-121.494444, 6);
+  });
+
+  it('reads DMS with hemisphere letters before the numbers, longitude first', () => {
+    const { lat, lng } = parseCoordinates('W 121°29\'40" N 38°34\'54"');
+    expect(lat).toBeCloseTo(38.581667, 6);
+    expect(lng).toBeCloseTo(-121.494444, 6);
+  });
+
+  it('reads degrees and decimal minutes, and typographic primes', () => {
+    const { lat, lng } = parseCoordinates('51°30.5′S, 0°7.5′E');
+    expect(lat).toBeCloseTo(-51.508333, 6);
+    expect(lng).toBeCloseTo(0.125, 6);
+  });
+
+  it('rejects two latitudes, and minutes of 60 or more', () => {
+    expect(parseCoordinates('38°N 40°S')).toBeNull();
+    expect(parseCoordinates('38°60\'N 121°W')).toBeNull();
+  });
+});
+
+describe('decodePlusCode', () => {
+  it('decodes a full code to the center of its area', () => {
+    const { lat, lng } = decodePlusCode('9C3W9QCJ+2VX');
+    expect(lat).toBeCloseTo(51.3701125, 9);
+    expect(lng).toBeCloseTo(-1.217765625, 9);
+  });
+
+  it('decodes padded codes', () => {
+    const { lat, lng } = decodePlusCode('8FVC0000+');
+    expect(lat).toBeCloseTo(47.5, 9);
+    expect(lng).toBeCloseTo(8.5, 9);
+  });
+
+  it('rejects short and malformed codes', () => {
+    expect(decodePlusCode('9QCJ+2VX')).toBeNull();
+    expect(decodePlusCode('9C3W9QCJ2VX')).toBeNull();
+    expect(decodePlusCode('9C3W9QCJ+2')).toBeNull();
+  });
+});
+
+describe('recoverShortPlusCode', () => {
+  it('fills in the missing digits from a reference point', () => {
+    const { lat, lng } = recoverShortPlusCode('9QCJ+2VX', { lat: 51.3708675, lng: -1.217765625 });
+    expect(lat).toBeCloseTo(51.3701125, 9);
+    expect(lng).toBeCloseTo(-1.217765625, 9);
+  });
+
+  it('picks the neighbouring cell when the reference sits near the edge of its own', () => {
+    // The reference's own 1 degree cell would put the code at 50.37,-0.22 - the cells north and west are nearer
+    const { lat, lng } = recoverShortPlusCode('9QCJ+2VX', { lat: 50.9, lng: -0.8 });
+    expect(lat).toBeCloseTo(51.3701125, 9);
+    expect(lng).toBeCloseTo(-1.217765625, 9);
+  });
+
+  it('returns null for anything but a Plus Code', () => {
+    expect(recoverShortPlusCode('Main St', { lat: 0, lng: 0 })).toBeNull();
+  });
+});
+
+describe('parseLocationInput', () => {
+  it('tells coordinates, full codes and short codes apart', () => {
+    expect(parseLocationInput('38.5816, -121.4944')).toEqual({ kind: 'coordinates', lat: 38.5816, lng: -121.4944 });
+    expect(parseLocationInput('9C3W9QCJ+2VX')).toMatchObject({ kind: 'plusCode' });
+    expect(parseLocationInput('HG2V+M6 Sacramento')).toEqual({ kind: 'shortPlusCode', code: 'HG2V+M6', locality: 'Sacramento' });
+  });
+
+  it('leaves street addresses to be geocoded', () => {
+    expect(parseLocationInput('12 34 Main St')).toBeNull();
+    expect(parseLocationInput('12 34')).toBeNull();
+    expect(parseLocationInput('1600 Amphitheatre Parkway, Mountain View')).toBeNull();
+  });
+
+  it('needs a locality to place a short code', () => {
+    expect(parseLocationInput('HG2V+M6')).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,106 @@
+// Saved meetups - stored on the server (see src/backend/meetups.js), remembered in this browser
+// Each saved meetup's ID and edit key are kept in localStorage, so "My meetups" lists the ones saved here.
+import { errorFromResponse } from './apiErrors';
+import { decodeSearch, encodeSearch } from './searchUrl';
+
+const STORAGE_KEY = 'rendezvous.meetups';
+
+// Venues kept in a meetup's shortlist
+export const SHORTLIST_SIZE = 5;
+
+const MEETUPS_URL = `${import.meta.env.VITE_API_BASE_URL}/api/meetups`;
+
+// [{ id, name, editKey }] for the meetups saved in this browser, most recent first
+export function loadSavedMeetups() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+}
+
+export function storeSavedMeetups(meetups) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(meetups));
+  } catch (error) {
+    console.error('Error saving meetups list:', error);
+  }
+}
+
+// The request body for a search - the venues are a shortlist of places from its results
+export function toMeetupFields({ coords, midpointStrategy, searchRadius, categories, placeFilters, departureTime }, meetingPoint, venues) {
+  return {
+    participants: coords.map(coord => ({
+      name: coord.name || '',
+      address: coord.originalAddress || '',
+      color: coord.color,
+      mode: coord.mode,
+      lat: coord.lat,
+      lng: coord.lng
+    })),
+    settings: { midpointStrategy, searchRadius, categories, placeFilters, departureTime },
+    meetingPoint,
+    venues: venues.slice(0, SHORTLIST_SIZE)
+  };
+}
+
+// Turn a saved meetup back into a search, checked the same way as a shared link
+export function meetupToSearch(meetup) {
+  const settings = meetup.settings || {};
+  return decodeSearch(encodeSearch({
+    coords: meetup.participants.map(participant => ({
+      lat: participant.lat,
+      lng: participant.lng,
+      name: participant.name,
+      originalAddress: participant.address,
+      color: participant.color,
+      mode: participant.mode
+    })),
+    midpointStrategy: settings.midpointStrategy,
+    searchRadius: settings.searchRadius || {},
+    categories: settings.categories || [],
+    placeFilters: settings.placeFilters || {},
+    departureTime: settings.departureTime || ''
+  }));
+}
+
+async function request(url, options, fallbackMessage) {
+  const response = await fetch(url, { credentials: 'include', ...options });
+  if (!response.ok) {
+    throw await errorFromResponse(response, fallbackMessage);
+  }
+  return response.status === 204 ? null : response.json();
+}
+
+function editHeaders(editKey) {
+  return { 'Content-Type': 'application/json', Authorization: `Bearer ${editKey}` };
+}
+
+// Resolves to the saved meetup, including its editKey
+export function createMeetup(fields) {
+  return request(MEETUPS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(fields)
+  }, 'Error saving meetup');
+}
+
+export function fetchMeetup(id) {
+  return request(`${MEETUPS_URL}/${encodeURIComponent(id)}`, {}, 'Error loading meetup');
+}
+
+export function updateMeetup(id, editKey, fields) {
+  return request(`${MEETUPS_URL}/${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    headers: editHeaders(editKey),
+    body: JSON.stringify(fields)
+  }, 'Error updating meetup');
+}
+
+export function deleteMeetup(id, editKey) {
+  return request(`${MEETUPS_URL}/${encodeURIComponent(id)}`, {
+    method: 'DELETE',
+    headers: editHeaders(editKey)
+  }, 'Error deleting meetup');
+}
\ No newline at end of file
@@ -0,0 +1,57 @@
+// Shared participant helpers used by the form, map and legend
+
+// Limits on how many people can be part of a single search
+export const MIN_PARTICIPANTS = 2;
+export const MAX_PARTICIPANTS = 10;
+
+// Marker colors available to participants.
+// Red, yellow and purple are reserved for the midpoint and place markers.
+// Tailwind classes are spelled out in full so they survive class scanning.
+// routeColor draws the participant's route on the map, matching the swatch.
+export const PARTICIPANT_COLORS = [
+  { id: 'blue', label: 'Blue', swatchClass: 'bg-blue-500', routeColor: '#3b82f6', markerUrl: 'http://maps.google.com/mapfiles/ms/icons/blue-dot.png' },
+  { id: 'green', label: 'Green', swatchClass: 'bg-green-500', routeColor: '#22c55e', markerUrl: 'http://maps.google.com/mapfiles/ms/icons/green-dot.png' },
+  { id: 'orange', label: 'Orange', swatchClass: 'bg-orange-500', routeColor: '#f97316', markerUrl: 'http://maps.google.com/mapfiles/ms/icons/orange-dot.png' },
+  { id: 'pink', label: 'Pink', swatchClass: 'bg-pink-400', routeColor: '#f472b6', markerUrl: 'http://maps.google.com/mapfiles/ms/icons/pink-dot.png' },
+  { id: 'ltblue', label: 'Light blue', swatchClass: 'bg-sky-300', routeColor: '#7dd3fc', markerUrl: 'http://maps.google.com/mapfiles/ms/icons/ltblue-dot.png' }
+];
+
+// Ways a participant can travel - ids are the modes the server's routing and travel times take
+export const TRAVEL_MODES = [
+  { id: 'driving', label: 'Driving', icon: '🚗' },
+  { id: 'transit', label: 'Transit', icon: '🚆' },
+  { id: 'walking', label: 'Walking', icon: '🚶' },
+  { id: 'bicycling', label: 'Cycling', icon: '🚲' }
+];
+export const DEFAULT_TRAVEL_MODE = 'driving';
+
+// Look up a travel mode, falling back to driving
+export function getTravelMode(modeId) {
+  return TRAVEL_MODES.find(mode => mode.id === modeId) || TRAVEL_MODES[0];
+}
+
+// Look up a color definition, falling back to the first color
+export function getParticipantColor(colorId) {
+  return PARTICIPANT_COLORS.find(color => color.id === colorId) || PARTICIPANT_COLORS[0];
+}
+
+// Display label for a participant - their name if given, otherwise their position
+export function getParticipantLabel(participant, index) {
+  const name = participant && typeof participant.name === 'string' ? participant.name.trim() : '';
+  return name || `Participant ${index + 1}`;
+}
+
+let nextParticipantId = 0;
+
+// Create a participant entry, empty and driving unless fields are given, cycling through the color palette
+export function createParticipant(index, fields = {}) {
+  nextParticipantId++;
+  return {
+    id: `participant-${nextParticipantId}`,
+    name: '',
+    address: '',
+    color: PARTICIPANT_COLORS[index % PARTICIPANT_COLORS.length].id,
+    mode: DEFAULT_TRAVEL_MODE,
+    ...fields
+  };
+}
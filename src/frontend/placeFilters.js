@@ -0,0 +1,30 @@
+// Filters for the place search - price level, rating, review count and open now
+// The server applies them (see src/backend/placeFilters.js); empty values mean "any"
+
+// Google's price levels, from 0 (free) to 4 (very expensive)
+export const PRICE_LEVELS = [
+  { value: 0, label: 'Free' },
+  { value: 1, label: '$' },
+  { value: 2, label: '$$' },
+  { value: 3, label: '$$$' },
+  { value: 4, label: '$$$$' }
+];
+
+export const RATING_OPTIONS = [3, 3.5, 4, 4.5];
+
+export const DEFAULT_PLACE_FILTERS = { minPrice: '', maxPrice: '', minRating: '', minReviews: '', openNow: false };
+
+// Query parameters for the filters that are set, e.g. "&minprice=1&opennow=true"
+export function filtersQueryString(filters) {
+  const params = [
+    ['minprice', filters.minPrice],
+    ['maxprice', filters.maxPrice],
+    ['minrating', filters.minRating],
+    ['minreviews', filters.minReviews],
+    ['opennow', filters.openNow ? 'true' : '']
+  ];
+  return params
+    .filter(([, value]) => value !== '' && value !== undefined && value !== null)
+    .map(([name, value]) => `&${name}=${encodeURIComponent(value)}`)
+    .join('');
+}
\ No newline at end of file
@@ -0,0 +1,31 @@
+// Search radius settings for the restaurant search
+
+// Units the radius can be entered in
+export const RADIUS_UNITS = {
+  mi: { label: 'miles', shortLabel: 'mi', meters: 1609.34 },
+  km: { label: 'kilometers', shortLabel: 'km', meters: 1000 }
+};
+
+// The server clamps radii to this range
+export const MIN_RADIUS_METERS = 100;
+export const MAX_RADIUS_METERS = 50000;
+
+// Search within 1 mile, widening up to 5 miles if nothing turns up
+export const DEFAULT_SEARCH_RADIUS = { radius: 1, maxRadius: 5, unit: 'mi' };
+
+// Convert a radius in the given unit to meters, within the range the server accepts
+export function toMeters(value, unit) {
+  const meters = Math.round((value || 0) * RADIUS_UNITS[unit].meters);
+  return Math.min(Math.max(meters, MIN_RADIUS_METERS), MAX_RADIUS_METERS);
+}
+
+// Convert a value from one unit to another, to one decimal place
+export function convertRadius(value, fromUnit, toUnit) {
+  return Math.round((value * RADIUS_UNITS[fromUnit].meters / RADIUS_UNITS[toUnit].meters) * 10) / 10;
+}
+
+// e.g. "1 mi", "2.5 km"
+export function formatRadius(meters, unit) {
+  const value = meters / RADIUS_UNITS[unit].meters;
+  return `${Math.round(value * 10) / 10} ${RADIUS_UNITS[unit].shortLabel}`;
+}
\ No newline at end of file
@@ -0,0 +1,133 @@
+// Shareable search links - the whole search is kept in the page's query string
+// e.g. ?p=38.58,-121.49&pn=Alex&pa=1+Main+St&pc=blue&pm=transit&p=...&m=geodesic&r=1&mr=5&u=mi&c=restaurant,cafe&minrating=4&dt=2026-05-01T18:30&place=<place_id>
+// Each participant's location (p), name (pn), address (pa), color (pc) and travel mode (pm) are repeated in participant order.
+// Participants keep their coordinates, so opening a link doesn't geocode anything again, and the
+// midpoint - and so the place search the server has cached - comes out exactly the same.
+import { MIN_PARTICIPANTS, MAX_PARTICIPANTS, PARTICIPANT_COLORS, TRAVEL_MODES, DEFAULT_TRAVEL_MODE, getParticipantLabel } from './participants';
+import { DEFAULT_MIDPOINT_STRATEGY, isMidpointStrategy } from '../shared/geometry';
+import { DEFAULT_SEARCH_RADIUS, RADIUS_UNITS } from './searchRadius';
+import { DEFAULT_CATEGORIES, VENUE_CATEGORIES } from './categories';
+import { DEFAULT_PLACE_FILTERS, PRICE_LEVELS } from './placeFilters';
+
+// Decimal places kept for coordinates - about 10cm
+const COORDINATE_PRECISION = 6;
+
+// Departure times are local times to the minute, as a datetime-local input gives them
+const DEPARTURE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+// Round a coordinate the way links store it - searches use rounded coordinates too,
+// so a shared link searches exactly the same spot
+export function roundCoordinate(value) {
+  return Number(value.toFixed(COORDINATE_PRECISION));
+}
+
+// Read participant index's fields - returns null if their location can't be read
+function decodeParticipant(params, index) {
+  const [lat, lng] = (params.getAll('p')[index] || '').split(',').map(parseFloat);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+
+  const color = params.getAll('pc')[index];
+  const mode = params.getAll('pm')[index];
+  return {
+    lat,
+    lng,
+    originalAddress: params.getAll('pa')[index] || '',
+    name: params.getAll('pn')[index] || '',
+    color: PARTICIPANT_COLORS.some(option => option.id === color) ? color : PARTICIPANT_COLORS[index % PARTICIPANT_COLORS.length].id,
+    mode: TRAVEL_MODES.some(option => option.id === mode) ? mode : DEFAULT_TRAVEL_MODE
+  };
+}
+
+// Query string (without "?") for a search - the selected place is added separately, see withSelectedPlace
+export function encodeSearch({ coords, midpointStrategy, searchRadius, categories, placeFilters, departureTime }) {
+  const params = new URLSearchParams();
+  // Participants without a name are stored without one, rather than as "Participant 2"
+  coords.forEach((coord, idx) => {
+    params.append('p', `${roundCoordinate(coord.lat)},${roundCoordinate(coord.lng)}`);
+    params.append('pn', coord.name === getParticipantLabel(null, idx) ? '' : coord.name || '');
+    params.append('pa', coord.originalAddress || '');
+    params.append('pc', coord.color || '');
+    params.append('pm', coord.mode || DEFAULT_TRAVEL_MODE);
+  });
+  params.set('m', midpointStrategy);
+  params.set('r', String(searchRadius.radius));
+  params.set('mr', String(searchRadius.maxRadius));
+  params.set('u', searchRadius.unit);
+  params.set('c', categories.join(','));
+
+  const filterParams = {
+    minprice: placeFilters.minPrice,
+    maxprice: placeFilters.maxPrice,
+    minrating: placeFilters.minRating,
+    minreviews: placeFilters.minReviews
+  };
+  Object.entries(filterParams).forEach(([name, value]) => {
+    if (value !== '') params.set(name, String(value));
+  });
+  if (placeFilters.openNow) params.set('opennow', 'true');
+  if (departureTime) params.set('dt', departureTime);
+
+  return params.toString();
+}
+
+// Add the selected place to a search's query string
+export function withSelectedPlace(query, placeId) {
+  return placeId ? `${query}&place=${encodeURIComponent(placeId)}` : query;
+}
+
+// The search part of a query string, without the selected place - for telling whether the search changed
+export function searchPart(queryString) {
+  const params = new URLSearchParams(queryString);
+  params.delete('place');
+  return params.toString();
+}
+
+function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+function parseOption(value, options) {
+  const number = Number(value);
+  return value !== null && value !== '' && options.includes(number) ? number : '';
+}
+
+// Read a search from a query string - returns null if there isn't a complete one
+// Participants come back with the raw name they were given, which may be empty.
+// Anything unrecognized falls back to its default, so old or hand-edited links still open
+export function decodeSearch(queryString) {
+  const params = new URLSearchParams(queryString);
+  const coords = params.getAll('p').slice(0, MAX_PARTICIPANTS).map((_, idx) => decodeParticipant(params, idx));
+  if (coords.length < MIN_PARTICIPANTS || coords.some(coord => !coord)) {
+    return null;
+  }
+
+  const unit = RADIUS_UNITS[params.get('u')] ? params.get('u') : DEFAULT_SEARCH_RADIUS.unit;
+  const categoryIds = VENUE_CATEGORIES.map(category => category.id);
+  const categories = (params.get('c') || '').split(',').filter(id => categoryIds.includes(id));
+  const minRating = parseFloat(params.get('minrating'));
+  const minReviews = parseInt(params.get('minreviews'));
+
+  return {
+    coords,
+    midpointStrategy: isMidpointStrategy(params.get('m')) ? params.get('m') : DEFAULT_MIDPOINT_STRATEGY,
+    searchRadius: {
+      radius: parseNumber(params.get('r'), DEFAULT_SEARCH_RADIUS.radius),
+      maxRadius: parseNumber(params.get('mr'), DEFAULT_SEARCH_RADIUS.maxRadius),
+      unit
+    },
+    categories: categories.length > 0 ? categories : DEFAULT_CATEGORIES,
+    placeFilters: {
+      ...DEFAULT_PLACE_FILTERS,
+      minPrice: parseOption(params.get('minprice'), PRICE_LEVELS.map(level => level.value)),
+      maxPrice: parseOption(params.get('maxprice'), PRICE_LEVELS.map(level => level.value)),
+      minRating: minRating > 0 && minRating <= 5 ? minRating : '',
+      minReviews: Number.isInteger(minReviews) && minReviews > 0 ? minReviews : '',
+      openNow: params.get('opennow') === 'true'
+    },
+    departureTime: DEPARTURE_TIME_PATTERN.test(params.get('dt') || '') ? params.get('dt') : '',
+    selectedPlaceId: params.get('place')
+  };
+}
\ No newline at end of file
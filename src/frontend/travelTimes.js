@@ -0,0 +1,98 @@
+// Travel times from every participant to the listed places - see /api/matrix
+import { errorFromResponse } from './apiErrors';
+import { toDepartureTimestamp, toRoutingParticipants } from './directions';
+
+// The server takes at most this many places per request - any after them go without travel times
+export const MAX_TRAVEL_TIME_PLACES = 200;
+
+// Ways to order the place list - by match score, or by travel times once they've loaded
+export const PLACE_SORTS = {
+  match: { label: 'Best match' },
+  fairest: { label: 'Fairest (smallest gap)' },
+  longest: { label: 'Shortest longest trip' }
+};
+export const DEFAULT_PLACE_SORT = 'match';
+
+// The largest gap (seconds) between the quickest and slowest trip at each level of fairness
+const FAIRNESS_LEVELS = [
+  { maxSpread: 5 * 60, label: 'Fair', className: 'bg-green-100 text-green-800' },
+  { maxSpread: 15 * 60, label: 'Uneven', className: 'bg-amber-100 text-amber-800' },
+  { maxSpread: Infinity, label: 'Lopsided', className: 'bg-red-100 text-red-800' }
+];
+
+// How even a place's travel times are - { label, className } for a badge
+export function getFairnessLevel(spread) {
+  return FAIRNESS_LEVELS.find(level => spread <= level.maxSpread);
+}
+
+// The places travel times can be fetched for, as [{ placeId, lat, lng }]
+export function getTravelTimeDestinations(places) {
+  return places
+    .map(place => {
+      const location = place.geometry && place.geometry.location;
+      if (!place.place_id || !location) return null;
+      return typeof location.lat === 'function'
+        ? { placeId: place.place_id, lat: location.lat(), lng: location.lng() }
+        : { placeId: place.place_id, lat: location.lat, lng: location.lng };
+    })
+    .filter(Boolean)
+    .slice(0, MAX_TRAVEL_TIME_PLACES);
+}
+
+// Travel times by place ID: { durations, min, max, spread } with durations in seconds in participant
+// order (null where there's no route), each by their own mode, and min, max and spread (max minus min) over the durations
+// found - all null if nobody has a route. Destinations come from getTravelTimeDestinations, in the
+// order the places were loaded so the server's cached chunks still line up after "Load more".
+export async function fetchTravelTimes(coords, destinations, departureTime, signal) {
+  if (destinations.length === 0) return {};
+
+  const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/matrix`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      participants: toRoutingParticipants(coords),
+      destinations: destinations.map(destination => ({ lat: destination.lat, lng: destination.lng })),
+      departureTime: toDepartureTimestamp(departureTime)
+    }),
+    credentials: 'include',
+    signal
+  });
+  if (!response.ok) {
+    throw await errorFromResponse(response, 'Error fetching travel times');
+  }
+
+  const data = await response.json();
+  return Object.fromEntries(destinations.map((destination, j) => {
+    const durations = data.rows.map(row => {
+      const element = row.elements[j];
+      // Driving with a departure time comes back with duration_in_traffic as well - it's the better estimate
+      return element && element.status === 'OK' ? (element.duration_in_traffic || element.duration).value : null;
+    });
+    const found = durations.filter(duration => duration !== null);
+    const min = found.length > 0 ? Math.min(...found) : null;
+    const max = found.length > 0 ? Math.max(...found) : null;
+    return [destination.placeId, { durations, min, max, spread: found.length > 0 ? max - min : null }];
+  }));
+}
+
+// Sorting by one participant's travel time uses "participant-<index>"
+export const participantSort = (index) => `participant-${index}`;
+
+// The travel time a place is sorted by - null if it has none
+function getSortValue(times, sort) {
+  if (!times) return null;
+  if (sort === 'fairest') return times.spread;
+  if (sort === 'longest') return times.max;
+  const index = Number(sort.slice(participantSort('').length));
+  return times.durations[index] ?? null;
+}
+
+// Compare two places' travel times for a sort other than 'match', quickest or fairest first
+// Places without travel times go last
+export function compareTravelTimes(a, b, sort) {
+  const aValue = getSortValue(a, sort);
+  const bValue = getSortValue(b, sort);
+  if (aValue === null) return bValue === null ? 0 : 1;
+  if (bValue === null) return -1;
+  return aValue - bValue;
+}
\ No newline at end of file
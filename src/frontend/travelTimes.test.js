@@ -0,0 +1,53 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { fetchTravelTimes, compareTravelTimes } from './travelTimes';
+
+const COORDS = [{ lat: 38.58, lng: -121.49, mode: 'driving' }, { lat: 38.7, lng: -121.3, mode: 'driving' }];
+const PLACES = [{ placeId: 'cafe', lat: 38.6, lng: -121.4 }, { placeId: 'diner', lat: 38.65, lng: -121.35 }];
+
+// Seconds from each participant to each place, without and with traffic
+const FREE_FLOW = { cafe: [600, 620], diner: [700, 900] };
+const IN_TRAFFIC = { cafe: [600, 1500], diner: [700, 720] };
+
+// Answer like Google does - duration_in_traffic only comes back for driving with a departure time
+function stubMatrix() {
+  vi.stubGlobal('fetch', vi.fn(async (url, options) => {
+    const { participants, destinations, departureTime } = JSON.parse(options.body);
+    const rows = participants.map((_, i) => ({
+      elements: destinations.map((_, j) => {
+        const placeId = PLACES[j].placeId;
+        return {
+          status: 'OK',
+          duration: { value: FREE_FLOW[placeId][i] },
+          ...(departureTime ? { duration_in_traffic: { value: IN_TRAFFIC[placeId][i] } } : {})
+        };
+      })
+    }));
+    return { ok: true, json: async () => ({ status: 'OK', rows }) };
+  }));
+}
+
+const rank = (times, sort) => PLACES.map(place => place.placeId)
+  .sort((a, b) => compareTravelTimes(times[a], times[b], sort));
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('travel-time sorting', () => {
+  it('goes by the usual durations when leaving now', async () => {
+    stubMatrix();
+    const times = await fetchTravelTimes(COORDS, PLACES, '');
+
+    expect(times.cafe.durations).toEqual([600, 620]);
+    expect(rank(times, 'fairest')).toEqual(['cafe', 'diner']);
+  });
+
+  it('goes by the time in traffic once a departure time is set', async () => {
+    stubMatrix();
+    const times = await fetchTravelTimes(COORDS, PLACES, '2026-10-20T17:30');
+
+    expect(times.cafe.durations).toEqual([600, 1500]);
+    expect(rank(times, 'fairest')).toEqual(['diner', 'cafe']);
+    expect(rank(times, 'longest')).toEqual(['diner', 'cafe']);
+  });
+});
\ No newline at end of file
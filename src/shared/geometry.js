@@ -0,0 +1,225 @@
+// geometry.js - Spherical geometry helpers for meeting point calculations
+// Plain ES module with no browser or Node dependencies so both the React app and the server can use it.
+// All points are { lat, lng } objects in degrees.
+
+// Mean Earth radius in meters
+export const EARTH_RADIUS_METERS = 6371008.8;
+
+// Numerical tolerances (in radians on the unit sphere)
+const EPSILON = 1e-12;
+const CONVERGENCE_TOLERANCE = 1e-10;
+const MAX_MEDIAN_ITERATIONS = 200;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+// Convert a lat/lng point to a unit vector
+function toVector({ lat, lng }) {
+  const phi = toRadians(lat);
+  const lambda = toRadians(lng);
+  return [
+    Math.cos(phi) * Math.cos(lambda),
+    Math.cos(phi) * Math.sin(lambda),
+    Math.sin(phi)
+  ];
+}
+
+// Convert a (not necessarily unit) vector back to lat/lng - longitude always lands in [-180, 180]
+function toLatLng([x, y, z]) {
+  return {
+    lat: toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y))),
+    lng: toDegrees(Math.atan2(y, x))
+  };
+}
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0]
+];
+const subtract = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const length = (a) => Math.sqrt(dot(a, a));
+
+function normalize(a) {
+  const len = length(a);
+  if (len < EPSILON) return null;
+  return [a[0] / len, a[1] / len, a[2] / len];
+}
+
+// Angle between two unit vectors - atan2 form stays accurate for tiny and near-antipodal angles
+const angleBetween = (a, b) => Math.atan2(length(cross(a, b)), dot(a, b));
+
+// Validate and convert the input points
+function toVectors(points) {
+  if (!Array.isArray(points) || points.length === 0) {
+    throw new Error('At least one point is required');
+  }
+
+  return points.map(point => {
+    if (!point || !Number.isFinite(point.lat) || !Number.isFinite(point.lng)) {
+      throw new Error('Every point needs numeric lat and lng values');
+    }
+    return toVector(point);
+  });
+}
+
+// Great-circle distance between two points in meters (haversine formula)
+export function distanceMeters(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+// Point reached by travelling a distance (meters) from a start point along an initial bearing (degrees from north)
+export function destinationPoint(start, bearing, distance) {
+  const angular = distance / EARTH_RADIUS_METERS;
+  const theta = toRadians(bearing);
+  const phi1 = toRadians(start.lat);
+  const lambda1 = toRadians(start.lng);
+
+  const phi2 = Math.asin(
+    Math.sin(phi1) * Math.cos(angular) + Math.cos(phi1) * Math.sin(angular) * Math.cos(theta)
+  );
+  const lambda2 = lambda1 + Math.atan2(
+    Math.sin(theta) * Math.sin(angular) * Math.cos(phi1),
+    Math.cos(angular) - Math.sin(phi1) * Math.sin(phi2)
+  );
+
+  // Wrap longitude back into [-180, 180]
+  return {
+    lat: toDegrees(phi2),
+    lng: ((toDegrees(lambda2) + 540) % 360) - 180
+  };
+}
+
+// Geodesic center - the normalized mean of the points' unit vectors.
+// Unlike averaging raw degrees this handles long distances and the antimeridian.
+export function geodesicCenter(points) {
+  const vectors = toVectors(points);
+  const sum = vectors.reduce((acc, v) => [acc[0] + v[0], acc[1] + v[1], acc[2] + v[2]], [0, 0, 0]);
+
+  // Points that cancel out (e.g. exactly antipodal) have no meaningful center - use the first point
+  const center = normalize(sum);
+  return toLatLng(center || vectors[0]);
+}
+
+// Smallest circle through two points - centered on their great-circle midpoint
+function circleFromPair(a, b) {
+  const center = normalize([a[0] + b[0], a[1] + b[1], a[2] + b[2]]);
+  return center ? { center, radius: angleBetween(center, a) } : null;
+}
+
+// Circle through three points - the circumcenter on the same side of the sphere as the points
+function circleFromTriple(a, b, c) {
+  let center = normalize(cross(subtract(b, a), subtract(c, a)));
+  if (!center) return null;
+  if (dot(center, a) < 0) {
+    center = [-center[0], -center[1], -center[2]];
+  }
+  return { center, radius: angleBetween(center, a) };
+}
+
+// Minimax center - the point that minimizes the largest distance to any participant
+// (the center of the smallest enclosing circle on the sphere).
+// The optimal circle always passes through two or three of the points, so every pair and
+// triple is tried - cheap for the handful of participants a meetup has, and exact.
+export function minimaxCenter(points) {
+  const vectors = toVectors(points);
+  if (vectors.length === 1) return toLatLng(vectors[0]);
+
+  const candidates = [];
+  for (let i = 0; i < vectors.length; i++) {
+    for (let j = i + 1; j < vectors.length; j++) {
+      candidates.push(circleFromPair(vectors[i], vectors[j]));
+      for (let k = j + 1; k < vectors.length; k++) {
+        candidates.push(circleFromTriple(vectors[i], vectors[j], vectors[k]));
+      }
+    }
+  }
+
+  let best = null;
+  for (const candidate of candidates) {
+    if (!candidate || (best && candidate.radius >= best.radius)) continue;
+
+    // Keep the candidate only if it encloses every point
+    const enclosesAll = vectors.every(v => angleBetween(candidate.center, v) <= candidate.radius + CONVERGENCE_TOLERANCE);
+    if (enclosesAll) {
+      best = candidate;
+    }
+  }
+
+  // Points spread over more than a hemisphere have no useful enclosing circle
+  return best ? toLatLng(best.center) : geodesicCenter(points);
+}
+
+// Geometric median - the point that minimizes the total distance to all participants.
+// Uses Weiszfeld's algorithm adapted to the sphere, starting from the geodesic center.
+export function geometricMedian(points) {
+  const vectors = toVectors(points);
+  let current = toVector(geodesicCenter(points));
+
+  for (let iteration = 0; iteration < MAX_MEDIAN_ITERATIONS; iteration++) {
+    const next = [0, 0, 0];
+
+    for (const v of vectors) {
+      const distance = angleBetween(current, v);
+
+      // Sitting on one of the points - Weiszfeld's weights are undefined there, and it is
+      // the median whenever that point carries enough of the total weight
+      if (distance < CONVERGENCE_TOLERANCE) {
+        return toLatLng(current);
+      }
+
+      next[0] += v[0] / distance;
+      next[1] += v[1] / distance;
+      next[2] += v[2] / distance;
+    }
+
+    const normalized = normalize(next);
+    if (!normalized) break;
+
+    const step = angleBetween(current, normalized);
+    current = normalized;
+
+    if (step < CONVERGENCE_TOLERANCE) break;
+  }
+
+  return toLatLng(current);
+}
+
+// Available midpoint strategies, keyed by the id used in the UI and API
+export const MIDPOINT_STRATEGIES = {
+  geodesic: {
+    label: 'Geographic center',
+    description: 'The true center of everyone on the globe',
+    compute: geodesicCenter
+  },
+  minimax: {
+    label: 'Fairest for the farthest',
+    description: 'Keeps the longest trip as short as possible',
+    compute: minimaxCenter
+  },
+  median: {
+    label: 'Least total distance',
+    description: 'Keeps the combined distance everyone travels as low as possible',
+    compute: geometricMedian
+  }
+};
+
+export const DEFAULT_MIDPOINT_STRATEGY = 'geodesic';
+
+// Check whether a strategy id is known
+export function isMidpointStrategy(strategy) {
+  return Object.prototype.hasOwnProperty.call(MIDPOINT_STRATEGIES, strategy);
+}
+
+// Compute the meeting point for a set of points with the given strategy
+export function computeMidpoint(points, strategy = DEFAULT_MIDPOINT_STRATEGY) {
+  if (!isMidpointStrategy(strategy)) {
+    throw new Error(`Unknown midpoint strategy: ${strategy}`);
+  }
+  return MIDPOINT_STRATEGIES[strategy].compute(points);
+}
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { distanceMeters, geodesicCenter, minimaxCenter, geometricMedian, computeMidpoint } from './geometry.js';
+
+const TOKYO = { lat: 35.6762, lng: 139.6503 };
+const HONOLULU = { lat: 21.3069, lng: -157.8583 };
+
+describe('geodesicCenter', () => {
+  it('goes the short way across the antimeridian', () => {
+    const center = geodesicCenter([TOKYO, HONOLULU]);
+    expect(center.lat).toBeCloseTo(32.39, 1);
+    expect(center.lng).toBeCloseTo(173.29, 1);
+    expect(distanceMeters(center, TOKYO)).toBeCloseTo(distanceMeters(center, HONOLULU), -1);
+  });
+
+  it('finds the pole for points spread around it', () => {
+    const center = geodesicCenter([{ lat: 89, lng: 0 }, { lat: 89, lng: 120 }, { lat: 89, lng: -120 }]);
+    expect(center.lat).toBeCloseTo(90, 6);
+  });
+
+  it('stays near the pole for points on both sides of it', () => {
+    const center = geodesicCenter([{ lat: 89.5, lng: 10 }, { lat: 89.5, lng: -170 }]);
+    expect(center.lat).toBeCloseTo(90, 6);
+  });
+});
+
+describe('minimaxCenter', () => {
+  it('puts the center of three points at equal distance from each when they surround it', () => {
+    const points = [{ lat: 0, lng: 0 }, { lat: 0, lng: 2 }, { lat: 1.5, lng: 1 }];
+    const center = minimaxCenter(points);
+    const distances = points.map(point => distanceMeters(center, point));
+    expect(distances[1]).toBeCloseTo(distances[0], 0);
+    expect(distances[2]).toBeCloseTo(distances[0], 0);
+    expect(center.lng).toBeCloseTo(1, 6);
+  });
+
+  it('uses the midpoint of the farthest pair when the third point is inside their circle', () => {
+    const center = minimaxCenter([{ lat: 0, lng: 0 }, { lat: 0, lng: 2 }, { lat: 0.2, lng: 1 }]);
+    expect(center.lat).toBeCloseTo(0, 6);
+    expect(center.lng).toBeCloseTo(1, 6);
+  });
+
+  it('keeps the longest trip no longer than the geodesic center does', () => {
+    const points = [{ lat: 38.58, lng: -121.49 }, { lat: 38.6, lng: -121.3 }, { lat: 38.59, lng: -121.31 }];
+    const longest = (center) => Math.max(...points.map(point => distanceMeters(center, point)));
+    expect(longest(minimaxCenter(points))).toBeLessThanOrEqual(longest(geodesicCenter(points)));
+  });
+});
+
+describe('geometricMedian', () => {
+  it('converges on a point that carries most of the weight', () => {
+    const home = { lat: 51.5, lng: -0.12 };
+    const median = geometricMedian([home, home, home, { lat: 48.85, lng: 2.35 }]);
+    expect(median.lat).toBeCloseTo(home.lat, 6);
+    expect(median.lng).toBeCloseTo(home.lng, 6);
+  });
+
+  it('converges on the vertex of a triangle with an angle over 120 degrees', () => {
+    const median = geometricMedian([{ lat: 0, lng: -1 }, { lat: 0, lng: 1 }, { lat: 0.2, lng: 0 }]);
+    expect(median.lat).toBeCloseTo(0.2, 4);
+    expect(median.lng).toBeCloseTo(0, 4);
+  });
+});
+
+describe('computeMidpoint', () => {
+  it('uses the geodesic center by default and rejects unknown strategies', () => {
+    expect(computeMidpoint([TOKYO, HONOLULU])).toEqual(geodesicCenter([TOKYO, HONOLULU]));
+    expect(() => computeMidpoint([TOKYO], 'nearest')).toThrow('Unknown midpoint strategy');
+  });
+});
@@ -0,0 +1,59 @@
+// polyline.js - Google's encoded polyline format
+// Routes travel as compact strings (see https://developers.google.com/maps/documentation/utilities/polylinealgorithm).
+// Plain ES module shared by the server, which encodes the routes it makes up offline, and the React app,
+// which decodes routes to draw them. Points are { lat, lng } objects in degrees.
+
+// Coordinates are stored to five decimal places
+const PRECISION = 1e5;
+
+function encodeValue(value) {
+  // Shift left a bit, inverting negative numbers, then write 5 bits at a time lowest first
+  let remaining = value < 0 ? ~(value << 1) : value << 1;
+  let encoded = '';
+  while (remaining >= 0x20) {
+    encoded += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+    remaining >>= 5;
+  }
+  return encoded + String.fromCharCode(remaining + 63);
+}
+
+// Encode points as a polyline string - each point is stored as the change from the one before
+export function encodePolyline(points) {
+  let lastLat = 0;
+  let lastLng = 0;
+  return points.map(point => {
+    const lat = Math.round(point.lat * PRECISION);
+    const lng = Math.round(point.lng * PRECISION);
+    const encoded = encodeValue(lat - lastLat) + encodeValue(lng - lastLng);
+    lastLat = lat;
+    lastLng = lng;
+    return encoded;
+  }).join('');
+}
+
+// Decode a polyline string into points
+export function decodePolyline(encoded) {
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const readValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += readValue();
+    lng += readValue();
+    points.push({ lat: lat / PRECISION, lng: lng / PRECISION });
+  }
+  return points;
+}